@@ -0,0 +1,331 @@
+/**
+ * ACCESS CONTROL - Framework Agnostic Core
+ * Pure functions, no UI dependencies
+ *
+ * Users, roles and what each role may do, plus the catalog change audit log.
+ *   user = { id, name, username, role, salt, passwordHash, passwordIterations, disabled, createdAt }
+ *   audit entry = { id, at, user: { id, name, role }, action, section, itemId, itemName, summary, before, after }
+ * Until the first user is created nothing is locked, so existing installs keep working
+ * until an admin sets up accounts.
+ *
+ * Passwords are PBKDF2-SHA256 hashes with a random salt, and sessions are signed tokens. Both
+ * use crypto.subtle, which browsers only offer on https or localhost; on the storage server
+ * they run on the server instead, and salts and hashes never leave it.
+ */
+
+import { DateUtils } from './date_utils.js';
+
+export const ROLES = [
+  { value: 'admin', label: 'Admin' },
+  { value: 'manager', label: 'Sales Manager' },
+  { value: 'rep', label: 'Sales Rep' }
+];
+
+export const PERMISSIONS = {
+  admin: ['admin.access', 'catalog.edit', 'catalog.delete', 'versions.publish', 'versions.load', 'users.manage', 'audit.view', 'data.manage', 'customers.delete', 'quotes.delete'],
+  manager: ['admin.access', 'catalog.edit', 'versions.publish', 'audit.view', 'customers.delete'],
+  rep: []
+};
+
+// Uplift and discount are percentages of the quote subtotal; null means no limit
+export const DEFAULT_ROLE_LIMITS = {
+  admin: { maxUpliftPercent: null, maxDiscountPercent: null, canOverrideFloor: true },
+  manager: { maxUpliftPercent: 25, maxDiscountPercent: 15, canOverrideFloor: true },
+  rep: { maxUpliftPercent: 10, maxDiscountPercent: 5, canOverrideFloor: false }
+};
+
+export const AUDIT_ACTIONS = [
+  { value: 'item.add', label: 'Added item' },
+  { value: 'item.edit', label: 'Edited item' },
+  { value: 'item.delete', label: 'Deleted item' },
+  { value: 'item.restore', label: 'Restored item' },
+  { value: 'option.add', label: 'Added product option' },
+  { value: 'option.edit', label: 'Edited product option' },
+  { value: 'option.delete', label: 'Deleted product option' },
+  { value: 'option.copy', label: 'Copied product options' },
+  { value: 'rule.add', label: 'Added rule' },
+  { value: 'catalog.import', label: 'Imported catalog' },
+  { value: 'version.load', label: 'Loaded version' },
+  { value: 'version.publish', label: 'Published version' },
+  { value: 'version.delete', label: 'Deleted version' }
+];
+
+const MIN_PASSWORD_LENGTH = 6;
+
+// Stored with each user so the count can be raised later without breaking existing passwords
+const PASSWORD_ITERATIONS = 600000;
+
+export const SESSION_HOURS = 12;
+
+function getSubtle() {
+  const subtle = globalThis.crypto && globalThis.crypto.subtle;
+  if (!subtle) throw new Error('Accounts need a secure connection (https or localhost) or the storage server');
+  return subtle;
+}
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+
+export const AccessControl = {
+  getRoleLabel(role) {
+    return (ROLES.find(def => def.value === role) || {}).label || role;
+  },
+
+  /**
+   * True when the user's role grants the permission. With no accounts set up (user null and
+   * locked false) everything is allowed.
+   */
+  can(user, permission, { locked = true } = {}) {
+    if (!user) return !locked;
+    return (PERMISSIONS[user.role] || []).includes(permission);
+  },
+
+  isLocked(users) {
+    return Object.values(users || {}).some(user => !user.disabled);
+  },
+
+  // ============================================================================
+  // USERS
+  // ============================================================================
+
+  randomHex(bytes = 16) {
+    return toHex(globalThis.crypto.getRandomValues(new Uint8Array(bytes)));
+  },
+
+  async hashPassword(password, salt, iterations = PASSWORD_ITERATIONS) {
+    const subtle = getSubtle();
+    const encoder = new TextEncoder();
+    const key = await subtle.importKey('raw', encoder.encode(String(password)), 'PBKDF2', false, ['deriveBits']);
+    const bits = await subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(salt), iterations }, key, 256);
+    return toHex(bits);
+  },
+
+  /**
+   * The user with a new salt and password hash
+   */
+  async setPassword(user, password) {
+    const salt = this.randomHex();
+    return {
+      ...user,
+      salt,
+      passwordHash: await this.hashPassword(password, salt),
+      passwordIterations: PASSWORD_ITERATIONS
+    };
+  },
+
+  /**
+   * The user record without its salt and password hash, for lists and anything sent to a browser
+   */
+  publicUser(user) {
+    if (!user) return null;
+    const { salt, passwordHash, passwordIterations, ...rest } = user;
+    return rest;
+  },
+
+  /**
+   * New or updated user record, checked but without the password: pass it to setPassword
+   * when one is given
+   * @param {object} users - existing users keyed by id (for the username and last-admin checks)
+   * @param {object} fields - { name, username, role, password, disabled }
+   * @param {object} existing - the user being edited (null for a new user)
+   */
+  buildUser(users, { name, username, role, password = '', disabled = false }, existing = null, now = new Date()) {
+    const trimmedName = String(name || '').trim();
+    const login = String(username || '').trim().toLowerCase();
+    if (!trimmedName) throw new Error('Enter the user\'s name');
+    if (!/^[a-z0-9._-]+$/.test(login)) throw new Error('Usernames use letters, numbers, dots, dashes and underscores only');
+    if (!PERMISSIONS[role]) throw new Error(`Unknown role "${role}"`);
+    if (Object.values(users).some(user => user.username === login && (!existing || user.id !== existing.id))) {
+      throw new Error(`Username ${login} is already taken`);
+    }
+    if (!existing && !password) throw new Error('Enter a password');
+    if (password && password.length < MIN_PASSWORD_LENGTH) throw new Error(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+
+    const user = {
+      ...(existing || { id: `user_${now.getTime()}`, createdAt: now.toISOString() }),
+      name: trimmedName,
+      username: login,
+      role,
+      disabled: Boolean(disabled)
+    };
+    this.assertAdminRemains({ ...users, [user.id]: user });
+    return user;
+  },
+
+  /**
+   * Throws if no active admin would be left (checked before saving or deleting a user)
+   */
+  assertAdminRemains(users) {
+    if (!Object.values(users).some(user => user.role === 'admin' && !user.disabled)) {
+      throw new Error('At least one active admin is needed to manage users');
+    }
+  },
+
+  /**
+   * The active user with this username and password, or null
+   */
+  async authenticate(users, username, password) {
+    const login = String(username || '').trim().toLowerCase();
+    const user = Object.values(users || {}).find(candidate => candidate.username === login && !candidate.disabled);
+    if (!user || !user.salt || !user.passwordIterations) return null;
+    const hash = await this.hashPassword(password, user.salt, user.passwordIterations);
+    return hash === user.passwordHash ? user : null;
+  },
+
+  // ============================================================================
+  // SESSIONS (this browser only; the storage server issues its own tokens)
+  // ============================================================================
+
+  async signToken(payload, secret) {
+    const subtle = getSubtle();
+    const encoder = new TextEncoder();
+    const key = await subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    return toHex(await subtle.sign('HMAC', key, encoder.encode(payload)));
+  },
+
+  /**
+   * "userId.expiresAt.signature". The signature covers the password hash, so changing the
+   * password ends the user's sessions.
+   */
+  async createSessionToken(user, secret, now = new Date()) {
+    const expiresAt = now.getTime() + SESSION_HOURS * 60 * 60 * 1000;
+    const signature = await this.signToken(`${user.id}.${expiresAt}.${user.passwordHash}`, secret);
+    return `${user.id}.${expiresAt}.${signature}`;
+  },
+
+  /**
+   * The active user a token was issued to, or null if it is forged, expired or out of date
+   */
+  async verifySessionToken(users, token, secret, now = new Date()) {
+    const [userId, expiresAt, signature] = String(token || '').split('.');
+    const user = (users || {})[userId];
+    if (!user || user.disabled || !signature || Number(expiresAt) < now.getTime()) return null;
+    const expected = await this.signToken(`${user.id}.${expiresAt}.${user.passwordHash}`, secret);
+    return expected === signature ? user : null;
+  },
+
+  /**
+   * What audit entries and saved quotes record about who did something
+   */
+  describeUser(user) {
+    return user ? { id: user.id, name: user.name, role: user.role } : null;
+  },
+
+  // ============================================================================
+  // QUOTE LIMITS
+  // ============================================================================
+
+  /**
+   * The role's limits, with overrides from global settings ({ roleLimits: { rep: {...} } })
+   */
+  getLimits(role, settings = {}) {
+    return { ...(DEFAULT_ROLE_LIMITS[role] || DEFAULT_ROLE_LIMITS.rep), ...((settings.roleLimits || {})[role] || {}) };
+  },
+
+  /**
+   * Uplift and manual discount as percentages of the subtotal
+   */
+  getQuotePercents(quoteCalc) {
+    const subtotal = quoteCalc.subtotal || 0;
+    return {
+      upliftPercent: subtotal > 0 ? (quoteCalc.salesUplift || 0) / subtotal * 100 : 0,
+      discountPercent: subtotal > 0 ? (quoteCalc.manualDiscount || 0) / subtotal * 100 : 0
+    };
+  },
+
+  /**
+   * Where a priced quote goes past the role's limits
+   * @returns {array} messages (empty when the quote is within the limits)
+   */
+  checkQuoteLimits(role, quoteCalc, settings = {}) {
+    const limits = this.getLimits(role, settings);
+    const { upliftPercent, discountPercent } = this.getQuotePercents(quoteCalc);
+    const roleLabel = this.getRoleLabel(role);
+    const over = (value, limit) => limit !== null && limit !== undefined && limit !== '' && Math.round(value * 100) > Math.round(parseFloat(limit) * 100);
+    const messages = [];
+    if (over(upliftPercent, limits.maxUpliftPercent)) {
+      messages.push(`Sales uplift is ${upliftPercent.toFixed(1)}% of the subtotal; the ${roleLabel} limit is ${limits.maxUpliftPercent}%`);
+    }
+    if (over(discountPercent, limits.maxDiscountPercent)) {
+      messages.push(`Manager discount is ${discountPercent.toFixed(1)}% of the subtotal; the ${roleLabel} limit is ${limits.maxDiscountPercent}%`);
+    }
+    if (quoteCalc.belowFloor && !limits.canOverrideFloor) {
+      messages.push(`A ${roleLabel} cannot price below the floor`);
+    }
+    return messages;
+  },
+
+  /**
+   * Sign-off for a quote past the rep's limits; the approver's own limits must cover the quote
+   * @returns {object} approval kept on the quote and its saved versions: { by, at, upliftPercent, discountPercent, belowFloor }
+   */
+  approveQuoteLimits(approver, quoteCalc, settings = {}, now = new Date()) {
+    const messages = this.checkQuoteLimits(approver.role, quoteCalc, settings);
+    if (messages.length > 0) throw new Error(messages[0]);
+    const { upliftPercent, discountPercent } = this.getQuotePercents(quoteCalc);
+    return {
+      by: this.describeUser(approver),
+      at: now.toISOString(),
+      upliftPercent,
+      discountPercent,
+      belowFloor: Boolean(quoteCalc.belowFloor)
+    };
+  },
+
+  /**
+   * True while the quote stays within what was approved; raising the uplift or discount again needs a new approval
+   */
+  isApprovalValid(approval, quoteCalc) {
+    if (!approval) return false;
+    const { upliftPercent, discountPercent } = this.getQuotePercents(quoteCalc);
+    const within = (value, approved) => Math.round(value * 100) <= Math.round(approved * 100);
+    return within(upliftPercent, approval.upliftPercent)
+      && within(discountPercent, approval.discountPercent)
+      && (!quoteCalc.belowFloor || approval.belowFloor);
+  },
+
+  // ============================================================================
+  // AUDIT LOG
+  // ============================================================================
+
+  createAuditEntry({ user, action, section = '', itemId = '', itemName = '', summary = '', before = null, after = null }, now = new Date()) {
+    return {
+      id: `audit_${now.getTime()}_${Math.random().toString(36).slice(2, 8)}`,
+      at: now.toISOString(),
+      user: this.describeUser(user),
+      action,
+      section,
+      itemId,
+      itemName,
+      summary,
+      before: before === undefined ? null : JSON.parse(JSON.stringify(before)),
+      after: after === undefined ? null : JSON.parse(JSON.stringify(after))
+    };
+  },
+
+  getActionLabel(action) {
+    return (AUDIT_ACTIONS.find(def => def.value === action) || {}).label || action;
+  },
+
+  /**
+   * Newest first, narrowed by free text (item, summary, user), user id, action and date range (YYYY-MM-DD, inclusive)
+   */
+  filterAuditLog(entries, { text = '', userId = '', action = '', from = '', to = '' } = {}) {
+    const needle = text.trim().toLowerCase();
+    return entries
+      .filter(entry => {
+        if (userId && (entry.user ? entry.user.id : '') !== userId) return false;
+        if (action && entry.action !== action) return false;
+        // Local calendar day, so entries near midnight fall on the day they were made
+        const day = DateUtils.toDateString(new Date(entry.at));
+        if (from && day < from) return false;
+        if (to && day > to) return false;
+        if (needle) {
+          const haystack = [entry.itemName, entry.itemId, entry.section, entry.summary, entry.user ? entry.user.name : '', this.getActionLabel(entry.action)]
+            .join(' ').toLowerCase();
+          if (!haystack.includes(needle)) return false;
+        }
+        return true;
+      })
+      .sort((a, b) => b.at.localeCompare(a.at));
+  }
+};
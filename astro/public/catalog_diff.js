@@ -0,0 +1,207 @@
+/**
+ * CATALOG DIFF - Framework Agnostic Core
+ * Pure functions, no UI dependencies
+ *
+ * Compares two pricing catalogs (published versions or the live data) and
+ * reprices saved quotes under both to show the impact of a new price sheet.
+ */
+
+import { QuotePricing } from './quote_pricing.js';
+
+export const CATALOG_SECTIONS = [
+  { key: 'manufacturers', label: 'Manufacturers' },
+  { key: 'productLines', label: 'Product Lines' },
+  { key: 'products', label: 'Products' },
+  { key: 'addons', label: 'Addons' },
+  { key: 'colors', label: 'Frame Colors' }
+];
+
+// Fields compared per section. `format` controls display; `ref` resolves ids against the catalog.
+export const CATALOG_DIFF_FIELDS = {
+  manufacturers: [
+    { key: 'name', label: 'Name' },
+    { key: 'costMultiplier', label: 'Cost Multiplier' },
+    { key: 'archived', label: 'Archived', format: 'boolean' }
+  ],
+  productLines: [
+    { key: 'name', label: 'Name' },
+    { key: 'manufacturerId', label: 'Manufacturer', ref: 'manufacturers' },
+    { key: 'archived', label: 'Archived', format: 'boolean' }
+  ],
+  products: [
+    { key: 'name', label: 'Name' },
+    { key: 'productTypeCode', label: 'Type Code' },
+    { key: 'productType', label: 'Product Type' },
+    { key: 'productLineId', label: 'Product Line', ref: 'productLines' },
+    { key: 'pricingModel', label: 'Pricing Model' },
+    { key: 'uiRate', label: 'UI Rate', format: 'money' },
+    { key: 'flatPrice', label: 'Flat Price', format: 'money' },
+    { key: 'uiTiers', label: 'UI Tiers', format: 'uiTiers' },
+    { key: 'sizeMatrix', label: 'Size Matrix', format: 'sizeMatrix' },
+    { key: 'sqftRate', label: 'Sq Ft Rate', format: 'money' },
+    { key: 'perimeterRate', label: 'Perimeter Rate', format: 'money' },
+    { key: 'costModel', label: 'Cost Model' },
+    { key: 'costUIRate', label: 'Cost per UI', format: 'money' },
+    { key: 'costFlatPrice', label: 'Flat Cost', format: 'money' },
+    { key: 'costMultiplier', label: 'Cost Multiplier' },
+    { key: 'minimumUI', label: 'Minimum UI' },
+    { key: 'maximumUI', label: 'Maximum UI' },
+    { key: 'visualizerType', label: 'Visualizer Drawing' },
+    { key: 'sizeLimits', label: 'Size Limits' },
+    { key: 'allowedAddons', label: 'Allowed Addons', ref: 'addons' },
+    { key: 'options', label: 'Options (grilles, glass, hardware)', format: 'optionSets' },
+    { key: 'archived', label: 'Archived', format: 'boolean' }
+  ],
+  addons: [
+    { key: 'name', label: 'Name' },
+    { key: 'pricingModel', label: 'Pricing Model' },
+    { key: 'uiRate', label: 'UI Rate', format: 'money' },
+    { key: 'flatPrice', label: 'Flat Price', format: 'money' },
+    { key: 'uiTiers', label: 'UI Tiers', format: 'uiTiers' },
+    { key: 'sizeMatrix', label: 'Size Matrix', format: 'sizeMatrix' },
+    { key: 'sqftRate', label: 'Sq Ft Rate', format: 'money' },
+    { key: 'perimeterRate', label: 'Perimeter Rate', format: 'money' },
+    { key: 'costModel', label: 'Cost Model' },
+    { key: 'costUIRate', label: 'Cost per UI', format: 'money' },
+    { key: 'costFlatPrice', label: 'Flat Cost', format: 'money' },
+    { key: 'costMultiplier', label: 'Cost Multiplier' },
+    { key: 'exclusiveGroup', label: 'Exclusive Group' },
+    { key: 'mandatory', label: 'Mandatory', format: 'boolean' },
+    { key: 'hiddenFromCustomer', label: 'Hidden From Customer', format: 'boolean' },
+    { key: 'isJobBased', label: 'Job Based', format: 'boolean' },
+    { key: 'nonTaxable', label: 'Non-Taxable', format: 'boolean' },
+    { key: 'shapeModifier', label: 'Visualizer Shape' },
+    { key: 'allowedProductTypes', label: 'Allowed Product Types' },
+    { key: 'allowedProductLines', label: 'Allowed Product Lines', ref: 'productLines' },
+    { key: 'minSize', label: 'Min Size' },
+    { key: 'maxSize', label: 'Max Size' },
+    { key: 'archived', label: 'Archived', format: 'boolean' }
+  ],
+  colors: [
+    { key: 'name', label: 'Name' },
+    { key: 'hex', label: 'Color' },
+    { key: 'interiorName', label: 'Interior Name' },
+    { key: 'interiorHex', label: 'Interior Color' },
+    { key: 'pricingModel', label: 'Pricing Model' },
+    { key: 'uiRate', label: 'UI Rate', format: 'money' },
+    { key: 'flatPrice', label: 'Flat Price', format: 'money' },
+    { key: 'allowedProductLines', label: 'Allowed Product Lines', ref: 'productLines' },
+    { key: 'archived', label: 'Archived', format: 'boolean' }
+  ]
+};
+
+export const CatalogDiff = {
+  /**
+   * Normalize a value so empty values compare equal ('' / null / undefined / [])
+   */
+  normalizeValue(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (Array.isArray(value)) return value.length === 0 ? null : JSON.stringify([...value].sort());
+    if (typeof value === 'object') return JSON.stringify(value);
+    if (typeof value === 'boolean') return value ? true : null;
+    return String(value);
+  },
+
+  /**
+   * Diff one catalog section (e.g. products) keyed by id
+   * @returns {object} { added: [item], removed: [item], modified: [{ id, name, before, after, changes }] }
+   */
+  diffSection(before = {}, after = {}, fields = []) {
+    const added = Object.keys(after).filter(id => !before[id]).map(id => after[id]);
+    const removed = Object.keys(before).filter(id => !after[id]).map(id => before[id]);
+
+    const modified = Object.keys(after)
+      .filter(id => before[id])
+      .map(id => {
+        const changes = fields
+          .filter(field => this.normalizeValue(before[id][field.key]) !== this.normalizeValue(after[id][field.key]))
+          .map(field => ({ ...field, before: before[id][field.key], after: after[id][field.key] }));
+        return { id, name: after[id].name || id, before: before[id], after: after[id], changes };
+      })
+      .filter(entry => entry.changes.length > 0);
+
+    return { added, removed, modified };
+  },
+
+  /**
+   * Diff two catalogs section by section
+   * @returns {object} { manufacturers, productLines, products, addons, colors } - each a diffSection result
+   */
+  diffCatalogs(from, to) {
+    const result = {};
+    CATALOG_SECTIONS.forEach(section => {
+      result[section.key] = this.diffSection(from[section.key] || {}, to[section.key] || {}, CATALOG_DIFF_FIELDS[section.key]);
+    });
+    return result;
+  },
+
+  /**
+   * Display a field value, resolving ids against a catalog
+   */
+  formatValue(field, value, catalog = {}) {
+    if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) return '—';
+    if (field.format === 'money') return `$${(parseFloat(value) || 0).toFixed(2)}`;
+    if (field.format === 'boolean') return value ? 'Yes' : 'No';
+    if (field.format === 'uiTiers') {
+      return value.map(tier => `${tier.maxUI === null ? 'no limit' : `≤${tier.maxUI} UI`}: $${(tier.price || 0).toFixed(2)}`).join(', ');
+    }
+    if (field.format === 'sizeMatrix') {
+      const prices = value.prices.flat();
+      return `${value.widths.length} × ${value.heights.length} grid, up to ${value.widths[value.widths.length - 1]}" × ${value.heights[value.heights.length - 1]}", $${Math.min(...prices).toFixed(2)}–$${Math.max(...prices).toFixed(2)}`;
+    }
+    if (field.format === 'optionSets') {
+      const price = (o) => o.pricingModel === 'UI' ? `$${o.uiRate || 0}/UI` : o.pricingModel === 'PER_LITE' ? `$${o.liteRate || 0}/lite` : `$${o.flatPrice || 0}`;
+      return Object.entries(value)
+        .filter(([, options]) => Array.isArray(options) && options.length > 0)
+        .map(([kind, options]) => `${kind}: ${options.map(o => `${o.name} ${price(o)}`).join(', ')}`)
+        .join('; ') || '—';
+    }
+    if (field.ref) {
+      const lookup = catalog[field.ref] || {};
+      const names = (Array.isArray(value) ? value : [value]).map(id => (lookup[id] && lookup[id].name) || id);
+      return names.join(', ');
+    }
+    if (Array.isArray(value)) return value.join(', ');
+    if (typeof value === 'object') {
+      return Object.entries(value)
+        .filter(([, v]) => v !== null && v !== undefined && v !== '')
+        .map(([k, v]) => `${k}: ${v}`)
+        .join(', ') || '—';
+    }
+    return String(value);
+  },
+
+  /**
+   * Reprice every saved quote under both catalogs
+   * @param {array} quotes - Saved quotes
+   * @param {object} pricingOptions - Settings-level pricing options (see QuotePricing.getPricingOptions)
+   * @returns {object} { quotes: [{ quoteId, customerName, before, after, delta, error }], totals: { before, after, delta } }
+   */
+  priceImpact({ quotes = [], from, to, rules = [], pricingOptions = {} }) {
+    const rows = quotes.map(quote => {
+      try {
+        const before = QuotePricing.priceQuote({ quote, catalog: from, rules, pricingOptions });
+        const after = QuotePricing.priceQuote({ quote, catalog: to, rules, pricingOptions });
+        const lineErrors = [...new Set([...Object.values(before.lineErrors), ...Object.values(after.lineErrors)])];
+        return {
+          quoteId: quote.id,
+          customerName: quote.customerName,
+          before: before.quoteCalc.finalPrice,
+          after: after.quoteCalc.finalPrice,
+          delta: after.quoteCalc.finalPrice - before.quoteCalc.finalPrice,
+          error: lineErrors.length > 0 ? lineErrors.join('; ') : null
+        };
+      } catch (error) {
+        return { quoteId: quote.id, customerName: quote.customerName, before: 0, after: 0, delta: 0, error: error.message };
+      }
+    });
+
+    const totals = rows.reduce((sum, row) => ({
+      before: sum.before + row.before,
+      after: sum.after + row.after,
+      delta: sum.delta + row.delta
+    }), { before: 0, after: 0, delta: 0 });
+
+    return { quotes: rows, totals };
+  }
+};
@@ -0,0 +1,372 @@
+/**
+ * CATALOG INTEGRITY - Framework Agnostic Core
+ * Pure functions, no UI dependencies
+ *
+ * Finds everything that points at a catalog item (product lines, products, addons,
+ * colours, rules, price sheet mappings and saved quotes) and works out what deleting
+ * it does to them. Deleting is one of:
+ *   block    - only delete when nothing refers to the item
+ *   cascade  - also delete what belongs to it (a manufacturer's lines, a line's products),
+ *              drop it from allowed-addon / allowed-line lists and switch off rules using it
+ *   reassign - point everything at another item of the same kind, then delete it
+ *   archive  - keep it, hidden from the sales page, so saved quotes still show its name
+ * Saved quotes are never rewritten: an item a quote uses is archived instead of deleted.
+ */
+
+// Item type (as passed to the admin's deleteItem) -> catalog section
+export const CATALOG_ITEM_TYPES = {
+  manufacturer: { section: 'manufacturers', label: 'manufacturer' },
+  productLine: { section: 'productLines', label: 'product line' },
+  product: { section: 'products', label: 'product' },
+  addon: { section: 'addons', label: 'addon' },
+  color: { section: 'colors', label: 'frame colour' }
+};
+
+export const REFERENCE_KINDS = [
+  { key: 'productLines', label: 'Product Lines' },
+  { key: 'products', label: 'Products' },
+  { key: 'addons', label: 'Addons' },
+  { key: 'colors', label: 'Frame Colors' },
+  { key: 'rules', label: 'Rules' },
+  { key: 'priceSheetTemplates', label: 'Price Sheet Mappings' },
+  { key: 'quotes', label: 'Saved Quotes' }
+];
+
+// Rule condition types whose value is a catalog id
+const RULE_CONDITION_SECTIONS = { productLine: 'productLines', product: 'products', addonSelected: 'addons' };
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+export const CatalogIntegrity = {
+  /**
+   * Whether an item can be offered on the sales page: not archived, and neither is
+   * the product line or manufacturer it belongs to
+   */
+  isActive(catalog, section, id) {
+    const item = (catalog[section] || {})[id];
+    if (!item || item.archived) return false;
+    if (section === 'products') return this.isActive(catalog, 'productLines', item.productLineId);
+    if (section === 'productLines') return !(catalog.manufacturers || {})[item.manufacturerId]?.archived;
+    return true;
+  },
+
+  /**
+   * Everything that refers to an item, including what refers to the items that belong to it
+   * @param {string} type - a CATALOG_ITEM_TYPES key
+   * @param {object} context - { catalog, rules, quotes: [quote], quoteVersions: { quoteId: [version] }, priceSheetTemplates }
+   * @returns {array} [{ kind, id, name, detail }] - kind is a REFERENCE_KINDS key; one entry per kind and id
+   */
+  findReferences(type, id, context) {
+    const { section } = CATALOG_ITEM_TYPES[type];
+    const references = new Map();
+    const add = (kind, refId, name, detail) => {
+      const key = `${kind}:${refId}`;
+      if (!references.has(key)) references.set(key, { kind, id: refId, name, detail });
+    };
+
+    this.getOwnedItems(context.catalog, section, id).forEach(owned => {
+      const item = context.catalog[owned.section][owned.id];
+      if (owned.id !== id) add(owned.section, owned.id, item.name, owned.detail);
+      this.findDirectReferences(owned.section, owned.id, context).forEach(ref => add(ref.kind, ref.id, ref.name, ref.detail));
+    });
+
+    // An owned item is not a reference to itself or to its owner
+    return Array.from(references.values()).filter(ref => !(ref.kind === section && ref.id === id));
+  },
+
+  /**
+   * The item and everything deleted with it in a cascade: [{ section, id, detail }]
+   */
+  getOwnedItems(catalog, section, id) {
+    const owned = [{ section, id, detail: '' }];
+    if (section === 'manufacturers') {
+      Object.values(catalog.productLines || {})
+        .filter(line => line.manufacturerId === id)
+        .forEach(line => owned.push(...this.getOwnedItems(catalog, 'productLines', line.id)
+          .map(item => ({ ...item, detail: item.section === 'productLines' ? 'Manufacturer' : 'Product line' }))));
+    }
+    if (section === 'productLines') {
+      Object.values(catalog.products || {})
+        .filter(product => product.productLineId === id)
+        .forEach(product => owned.push({ section: 'products', id: product.id, detail: 'Product line' }));
+    }
+    return owned;
+  },
+
+  /**
+   * What points straight at one item (not at the items that belong to it)
+   */
+  findDirectReferences(section, id, { catalog, rules = [], quotes = [], quoteVersions = {}, priceSheetTemplates = [] }) {
+    const references = [];
+    const add = (kind, item, detail) => references.push({ kind, id: item.id, name: item.name, detail });
+
+    if (section === 'productLines') {
+      ['addons', 'colors'].forEach(kind => Object.values(catalog[kind] || {})
+        .filter(item => (item.allowedProductLines || []).includes(id))
+        .forEach(item => add(kind, item, 'Allowed product lines')));
+    }
+    if (section === 'addons') {
+      Object.values(catalog.products || {})
+        .filter(product => (product.allowedAddons || []).includes(id))
+        .forEach(product => add('products', product, 'Allowed addons'));
+    }
+
+    rules.forEach(rule => {
+      const uses = this.describeRuleUse(rule, section, id);
+      if (uses) references.push({ kind: 'rules', id: rule.id, name: rule.name || 'Unnamed rule', detail: uses });
+    });
+
+    const templateField = { manufacturers: 'manufacturerId', productLines: 'productLineId' }[section];
+    if (templateField) {
+      priceSheetTemplates
+        .filter(template => template[templateField] === id)
+        .forEach(template => references.push({
+          kind: 'priceSheetTemplates',
+          id: template.manufacturerId,
+          name: catalog.manufacturers?.[template.manufacturerId]?.name || template.manufacturerId,
+          detail: templateField === 'manufacturerId' ? 'Manufacturer' : 'Product line'
+        }));
+    }
+
+    this.findQuotesUsing(section, id, { quotes, quoteVersions })
+      .forEach(quote => references.push({ kind: 'quotes', id: quote.id, name: quote.name, detail: quote.detail }));
+
+    return references;
+  },
+
+  /**
+   * Where a rule uses an item, e.g. "Condition, Action", or '' when it doesn't
+   */
+  describeRuleUse(rule, section, id) {
+    const uses = [];
+    const walk = (nodes = []) => nodes.some(node => node && (node.type === 'group'
+      ? walk(node.conditions)
+      : RULE_CONDITION_SECTIONS[node.type] === section && node.value === id));
+    if (walk(rule.conditions)) uses.push('Condition');
+    if (section === 'addons' && this.getRuleActions(rule).some(action => action && action.addonId === id)) uses.push('Action');
+    return uses.join(', ');
+  },
+
+  // Legacy rules carry a single addonId instead of actions
+  getRuleActions(rule) {
+    if (Array.isArray(rule.actions)) return rule.actions;
+    return rule.addonId ? [{ type: 'addAddon', addonId: rule.addonId }] : [];
+  },
+
+  /**
+   * Saved quotes (current state or any saved version) that use an item: [{ id, name, detail }]
+   */
+  findQuotesUsing(section, id, { quotes = [], quoteVersions = {} }) {
+    if (!['products', 'addons', 'colors'].includes(section)) return [];
+    const byId = new Map(quotes.map(quote => [quote.id, quote]));
+    const quoteIds = new Set([...byId.keys(), ...Object.keys(quoteVersions)]);
+
+    const lineUses = (item) => {
+      const units = item.assembly ? (item.assembly.rows || []).flat() : [item];
+      if (section === 'products') return units.some(unit => unit.productId === id);
+      if (section === 'addons') return units.some(unit => (unit.selectedAddonIds || []).includes(id));
+      return item.frameColor === id;
+    };
+
+    const found = [];
+    quoteIds.forEach(quoteId => {
+      const quote = byId.get(quoteId);
+      const versions = quoteVersions[quoteId] || [];
+      const snapshots = [
+        ...(quote ? [{ lineItems: quote.lineItems, jobAddonIds: quote.selectedJobAddonIds }] : []),
+        ...versions.map(version => ({ lineItems: version.lineItems, jobAddonIds: version.metadata?.selectedJobAddonIds }))
+      ];
+      const used = snapshots.some(snapshot => (snapshot.lineItems || []).some(lineUses) ||
+        (section === 'addons' && (snapshot.jobAddonIds || []).includes(id)));
+      if (!used) return;
+
+      const name = quote?.customerName || versions[versions.length - 1]?.metadata?.customerName || 'Unnamed Quote';
+      found.push({ id: quoteId, name, detail: `${versions.length} saved version${versions.length === 1 ? '' : 's'}` });
+    });
+    return found;
+  },
+
+  /**
+   * Work out a delete without saving anything
+   * @param {string} type - a CATALOG_ITEM_TYPES key
+   * @param {object} options - { mode: 'block' | 'cascade' | 'reassign' | 'archive', replacementId }
+   * @param {object} context - as findReferences
+   * @returns {object} { catalog, rules, priceSheetTemplates, deleted, archived, reassigned, disabledRules }
+   *   - the updated data to save, and what happened: [{ section, id, name }], a count and [rule name]
+   * @throws {Error} when the mode is not possible (block with references, reassign without a target)
+   */
+  planRemoval(type, id, { mode = 'block', replacementId = null } = {}, context) {
+    const { section, label } = CATALOG_ITEM_TYPES[type];
+    const result = {
+      catalog: clone(context.catalog),
+      rules: clone(context.rules || []),
+      priceSheetTemplates: clone(context.priceSheetTemplates || []),
+      deleted: [],
+      archived: [],
+      reassigned: 0,
+      disabledRules: []
+    };
+    const item = result.catalog[section][id];
+    if (!item) throw new Error(`This ${label} no longer exists`);
+
+    const archive = (itemSection, itemId) => {
+      const target = result.catalog[itemSection][itemId];
+      target.archived = true;
+      target.archivedAt = new Date().toISOString();
+      result.archived.push({ section: itemSection, id: itemId, name: target.name });
+    };
+    // Deleted, unless a saved quote still needs it or it still owns something kept for one
+    const retire = (itemSection, itemId) => {
+      if (this.findQuotesUsing(itemSection, itemId, context).length > 0 ||
+        this.getOwnedItems(result.catalog, itemSection, itemId).length > 1) {
+        return archive(itemSection, itemId);
+      }
+      result.deleted.push({ section: itemSection, id: itemId, name: result.catalog[itemSection][itemId].name });
+      delete result.catalog[itemSection][itemId];
+    };
+
+    if (mode === 'archive') {
+      archive(section, id);
+      return result;
+    }
+
+    if (mode === 'block') {
+      const references = this.findReferences(type, id, context);
+      if (references.length > 0) {
+        throw new Error(`${item.name} is still used by ${this.summarizeReferences(references)}`);
+      }
+      retire(section, id);
+      return result;
+    }
+
+    if (mode === 'reassign') {
+      const replacement = result.catalog[section][replacementId];
+      if (!replacementId || replacementId === id || !replacement) {
+        throw new Error(`Choose another ${label} to move its references to`);
+      }
+      result.reassigned = this.replaceReferences(result, section, id, replacementId);
+      retire(section, id);
+      return result;
+    }
+
+    if (mode === 'cascade') {
+      const owned = this.getOwnedItems(result.catalog, section, id);
+      owned.forEach(target => {
+        this.removeFromLists(result.catalog, target.section, target.id)
+          .filter(offered => !result.catalog[offered.section][offered.id].archived)
+          .forEach(offered => archive(offered.section, offered.id));
+        result.rules
+          .filter(rule => rule.enabled !== false && this.describeRuleUse(rule, target.section, target.id))
+          .forEach(rule => {
+            rule.enabled = false;
+            result.disabledRules.push(rule.name || 'Unnamed rule');
+          });
+        const templateField = { manufacturers: 'manufacturerId', productLines: 'productLineId' }[target.section];
+        if (templateField) {
+          result.priceSheetTemplates = result.priceSheetTemplates.filter(template => template[templateField] !== target.id);
+        }
+      });
+      // Products before their lines, lines before their manufacturer
+      owned.reverse().forEach(target => retire(target.section, target.id));
+      return result;
+    }
+
+    throw new Error(`Unknown delete mode "${mode}"`);
+  },
+
+  /**
+   * Point catalog items, rules and price sheet mappings at another item. Saved quotes are left as they are.
+   * @returns {number} how many references were moved
+   */
+  replaceReferences(result, section, fromId, toId) {
+    let moved = 0;
+    const swapField = (items, field) => items.forEach(item => {
+      if (item[field] === fromId) {
+        item[field] = toId;
+        moved++;
+      }
+    });
+    const swapList = (items, field) => items.forEach(item => {
+      if (!Array.isArray(item[field]) || !item[field].includes(fromId)) return;
+      item[field] = [...new Set(item[field].map(ref => ref === fromId ? toId : ref))];
+      moved++;
+    });
+    const { catalog } = result;
+
+    if (section === 'manufacturers') swapField(Object.values(catalog.productLines), 'manufacturerId');
+    if (section === 'productLines') {
+      swapField(Object.values(catalog.products), 'productLineId');
+      swapList(Object.values(catalog.addons), 'allowedProductLines');
+      swapList(Object.values(catalog.colors), 'allowedProductLines');
+    }
+    if (section === 'addons') swapList(Object.values(catalog.products), 'allowedAddons');
+
+    result.rules.forEach(rule => {
+      const swapConditions = (nodes = []) => nodes.forEach(node => {
+        if (!node) return;
+        if (node.type === 'group') return swapConditions(node.conditions);
+        if (RULE_CONDITION_SECTIONS[node.type] === section && node.value === fromId) {
+          node.value = toId;
+          moved++;
+        }
+      });
+      swapConditions(rule.conditions);
+      if (section !== 'addons') return;
+      if (rule.addonId === fromId) {
+        rule.addonId = toId;
+        moved++;
+      }
+      swapField((rule.actions || []).filter(Boolean), 'addonId');
+    });
+
+    const templateField = { manufacturers: 'manufacturerId', productLines: 'productLineId' }[section];
+    if (templateField) {
+      // A manufacturer keeps its own mapping when it already has one
+      if (section === 'manufacturers' && result.priceSheetTemplates.some(template => template.manufacturerId === toId)) {
+        result.priceSheetTemplates = result.priceSheetTemplates.filter(template => template.manufacturerId !== fromId);
+      }
+      swapField(result.priceSheetTemplates, templateField);
+      // A mapping only imports into its own manufacturer's lines
+      if (section === 'productLines') {
+        result.priceSheetTemplates
+          .filter(template => template.productLineId === toId && template.manufacturerId !== catalog.productLines[toId].manufacturerId)
+          .forEach(template => { template.productLineId = ''; });
+      }
+    }
+    return moved;
+  },
+
+  /**
+   * Drop an id from allowed-addon and allowed-product-line lists
+   * @returns {array} [{ section, id }] - addons and colours that were only offered on a deleted line.
+   *   An empty list means "every line", so these are left alone for the caller to archive.
+   */
+  removeFromLists(catalog, section, id) {
+    const onlyOffered = [];
+    const strip = (itemSection, field) => Object.values(catalog[itemSection]).forEach(item => {
+      if (!Array.isArray(item[field]) || !item[field].includes(id)) return;
+      if (field === 'allowedProductLines' && item[field].length === 1) {
+        onlyOffered.push({ section: itemSection, id: item.id });
+        return;
+      }
+      item[field] = item[field].filter(ref => ref !== id);
+    });
+    if (section === 'addons') strip('products', 'allowedAddons');
+    if (section === 'productLines') {
+      strip('addons', 'allowedProductLines');
+      strip('colors', 'allowedProductLines');
+    }
+    return onlyOffered;
+  },
+
+  /**
+   * e.g. "3 products, 1 rule and 2 saved quotes"
+   */
+  summarizeReferences(references) {
+    const parts = REFERENCE_KINDS
+      .map(kind => ({ label: kind.label.toLowerCase(), count: references.filter(ref => ref.kind === kind.key).length }))
+      .filter(part => part.count > 0)
+      .map(part => `${part.count} ${part.count === 1 ? part.label.replace(/ies$/, 'y').replace(/s$/, '') : part.label}`);
+    return parts.length > 1 ? `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}` : parts[0] || 'nothing';
+  }
+};
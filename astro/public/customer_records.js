@@ -0,0 +1,231 @@
+/**
+ * CUSTOMER RECORDS - Framework Agnostic Core
+ * Pure functions, no UI dependencies
+ *
+ * A customer is entered once and reused across quotes. Each customer can have
+ * several properties (a second home, a rental), each with its own house age:
+ *   { id, name, spouseName, phone, email, notes, createdAt, updatedAt,
+ *     properties: [{ id, address, houseAge }] }
+ * Quotes link to one with `customerId` and `propertyId` and keep a copy of the
+ * contact details, so a saved quote still reads the same if the customer moves.
+ */
+
+export const CustomerRecords = {
+  /**
+   * New customer record (not saved)
+   */
+  createCustomer({ name = '', spouseName = '', phone = '', email = '', notes = '' } = {}, now = new Date()) {
+    const timestamp = now.toISOString();
+    return {
+      id: `customer_${now.getTime()}_${Math.random().toString(36).slice(2, 7)}`,
+      name: String(name).trim(),
+      spouseName: String(spouseName).trim(),
+      phone: String(phone).trim(),
+      email: String(email).trim(),
+      notes: String(notes).trim(),
+      properties: [],
+      createdAt: timestamp,
+      updatedAt: timestamp
+    };
+  },
+
+  /**
+   * The customer with contact details changed (the customer is not modified)
+   */
+  updateCustomer(customer, fields, now = new Date()) {
+    const updated = { ...customer, updatedAt: now.toISOString() };
+    ['name', 'spouseName', 'phone', 'email', 'notes'].forEach(field => {
+      if (fields[field] !== undefined) updated[field] = String(fields[field] || '').trim();
+    });
+    return updated;
+  },
+
+  /**
+   * Add a property, or return the existing one at the same address
+   * @returns {object} { customer, property }
+   */
+  addProperty(customer, { address = '', houseAge = null } = {}) {
+    const existing = this.findPropertyByAddress(customer, address);
+    if (existing) return { customer, property: existing };
+    const property = {
+      id: `property_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+      address: String(address).trim(),
+      houseAge: this.parseHouseAge(houseAge)
+    };
+    return { customer: { ...customer, properties: [...(customer.properties || []), property] }, property };
+  },
+
+  updateProperty(customer, propertyId, { address, houseAge }) {
+    return {
+      ...customer,
+      properties: (customer.properties || []).map(property => property.id !== propertyId ? property : {
+        ...property,
+        ...(address !== undefined ? { address: String(address).trim() } : {}),
+        ...(houseAge !== undefined ? { houseAge: this.parseHouseAge(houseAge) } : {})
+      })
+    };
+  },
+
+  removeProperty(customer, propertyId) {
+    return { ...customer, properties: (customer.properties || []).filter(property => property.id !== propertyId) };
+  },
+
+  getProperty(customer, propertyId) {
+    return (customer.properties || []).find(property => property.id === propertyId) || null;
+  },
+
+  findPropertyByAddress(customer, address) {
+    const key = this.normalizeAddress(address);
+    if (!key) return null;
+    return (customer.properties || []).find(property => this.normalizeAddress(property.address) === key) || null;
+  },
+
+  parseHouseAge(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const age = parseFloat(value);
+    return isNaN(age) ? null : age;
+  },
+
+  // ============================================================================
+  // MATCHING
+  // ============================================================================
+
+  /**
+   * Phone digits without formatting or a leading US country code
+   */
+  normalizePhone(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    return digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+  },
+
+  normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+  },
+
+  normalizeAddress(address) {
+    return String(address || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  },
+
+  /**
+   * Customers already on file with the same phone number or email
+   * @param {object} customers - id -> customer
+   * @param {object} contact - { phone, email }
+   * @param {string} excludeId - the customer being edited
+   * @returns {array} [{ customer, matchedOn: ['phone' | 'email'] }]
+   */
+  findDuplicates(customers, { phone = '', email = '' }, excludeId = null) {
+    const phoneKey = this.normalizePhone(phone);
+    const emailKey = this.normalizeEmail(email);
+    return Object.values(customers)
+      .filter(customer => customer.id !== excludeId)
+      .map(customer => {
+        const matchedOn = [];
+        // Short numbers (extensions, partial entries) would match too much
+        if (phoneKey.length >= 7 && this.normalizePhone(customer.phone) === phoneKey) matchedOn.push('phone');
+        if (emailKey && this.normalizeEmail(customer.email) === emailKey) matchedOn.push('email');
+        return { customer, matchedOn };
+      })
+      .filter(match => match.matchedOn.length > 0);
+  },
+
+  /**
+   * Type-ahead: customers whose name, spouse, phone, email or property address contain every word typed,
+   * best matches (name starts with the text) first
+   */
+  search(customers, text, limit = 8) {
+    const words = String(text || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return [];
+    const query = words.join(' ');
+    return Object.values(customers)
+      .filter(customer => {
+        const haystack = this.buildSearchText(customer);
+        // "(555)" or "555-12" typed as formatted finds the number however it was entered
+        return words.every(word => haystack.includes(word)
+          || (/^[\d().+-]+$/.test(word) && haystack.includes(word.replace(/\D/g, ''))));
+      })
+      .sort((a, b) => {
+        const aStarts = a.name.toLowerCase().startsWith(query) ? 0 : 1;
+        const bStarts = b.name.toLowerCase().startsWith(query) ? 0 : 1;
+        return aStarts - bStarts || a.name.localeCompare(b.name);
+      })
+      .slice(0, limit);
+  },
+
+  buildSearchText(customer) {
+    return [
+      customer.name, customer.spouseName, customer.phone, this.normalizePhone(customer.phone), customer.email,
+      ...(customer.properties || []).map(property => property.address)
+    ].filter(Boolean).join(' \n ').toLowerCase();
+  },
+
+  // ============================================================================
+  // QUOTES
+  // ============================================================================
+
+  /**
+   * Quote fields copied from a customer and one of their properties
+   */
+  getQuoteFields(customer, propertyId) {
+    const property = this.getProperty(customer, propertyId);
+    return {
+      customerId: customer.id,
+      propertyId: property ? property.id : null,
+      customerName: customer.name,
+      spouseName: customer.spouseName,
+      phone: customer.phone,
+      email: customer.email,
+      address: property ? property.address : '',
+      houseAge: property ? property.houseAge : null
+    };
+  },
+
+  /**
+   * Quotes for a customer, newest first
+   * @param {object} quotes - id -> quote
+   */
+  getCustomerQuotes(customer, quotes) {
+    return Object.values(quotes)
+      .filter(quote => quote.customerId === customer.id)
+      .sort((a, b) => (b.quoteDate || '').localeCompare(a.quoteDate || ''));
+  },
+
+  /**
+   * Create customers for quotes saved before customer records existed, reusing a customer
+   * when the phone or email matches and adding each quote's address as a property
+   * @returns {object} { customers, quotes, created, linked }
+   */
+  linkUnassignedQuotes(customers, quotes, now = new Date()) {
+    const nextCustomers = { ...customers };
+    const nextQuotes = { ...quotes };
+    let created = 0;
+    let linked = 0;
+
+    Object.values(quotes)
+      .filter(quote => !quote.customerId && (quote.customerName || quote.phone || quote.email))
+      .forEach(quote => {
+        // Same phone or email, or failing that the same name at the same address
+        const [match] = this.findDuplicates(nextCustomers, quote);
+        let customer = match ? match.customer : Object.values(nextCustomers).find(candidate =>
+          candidate.name.toLowerCase() === String(quote.customerName || '').trim().toLowerCase()
+          && this.findPropertyByAddress(candidate, quote.address)) || null;
+        if (!customer) {
+          customer = this.createCustomer({
+            name: quote.customerName || '',
+            spouseName: quote.spouseName || '',
+            phone: quote.phone || '',
+            email: quote.email || ''
+          }, now);
+          created++;
+        }
+        let property = null;
+        if (quote.address) {
+          ({ customer, property } = this.addProperty(customer, { address: quote.address, houseAge: quote.houseAge }));
+        }
+        nextCustomers[customer.id] = customer;
+        nextQuotes[quote.id] = { ...quote, customerId: customer.id, propertyId: property ? property.id : null };
+        linked++;
+      });
+
+    return { customers: nextCustomers, quotes: nextQuotes, created, linked };
+  }
+};
@@ -1,8 +1,18 @@
 /**
- * DATA STORAGE - localStorage wrapper with version history
- * Future: swap localStorage for fetch() to JSON files or API
+ * DATA STORAGE - storage wrapper with version history
+ * Data lives in a pluggable backend (see storage_backends.js): this browser's
+ * localStorage, or the shared server so every device sees the same catalog and quotes.
  */
 
+import { LocalStorageBackend, createHttpBackend } from './storage_backends.js';
+import { AccessControl } from './access_control.js';
+
+// Which backend this device uses is a device setting, so it always lives in localStorage
+const BACKEND_CONFIG_KEY = 'storage_backend';
+
+// Signs session tokens when accounts live in this browser (the storage server issues its own)
+const DEVICE_SECRET_KEY = 'auth_device_secret';
+
 export const DataStorage = {
   // Storage keys
   KEYS: {
@@ -10,39 +20,146 @@ export const DataStorage = {
     PRODUCT_LINES: 'pricing_product_lines',
     PRODUCTS: 'pricing_products',
     ADDONS: 'pricing_addons',
+    COLORS: 'pricing_colors',
     QUOTES: 'pricing_quotes',
     QUOTE_VERSIONS: 'pricing_quote_versions',
+    CUSTOMERS: 'pricing_customers',
+    USERS: 'pricing_users',
+    AUDIT_LOG: 'pricing_audit_log',
     PRICING_VERSIONS: 'pricing_versions',
     CURRENT_VERSION: 'pricing_current_version',
     GLOBAL_SETTINGS: 'global_settings'
   },
 
+  backend: LocalStorageBackend,
+  authToken: null,
+  errorListeners: [],
+  statusListeners: [],
+
   /**
-   * Get data from storage
+   * Backend settings for this device: { type: 'local' } or { type: 'http', url }
    */
-  get(key, defaultValue = null) {
+  getBackendConfig() {
     try {
-      const data = localStorage.getItem(key);
-      return data ? JSON.parse(data) : defaultValue;
+      const config = JSON.parse(localStorage.getItem(BACKEND_CONFIG_KEY));
+      return config && config.type === 'http' && config.url ? config : { type: 'local' };
     } catch (error) {
-      console.error(`Error reading ${key}:`, error);
-      return defaultValue;
+      return { type: 'local' };
+    }
+  },
+
+  setBackendConfig(config) {
+    localStorage.setItem(BACKEND_CONFIG_KEY, JSON.stringify(config));
+  },
+
+  createBackend(config) {
+    if (config.type === 'http') {
+      return createHttpBackend({
+        baseUrl: config.url,
+        keys: this.KEYS,
+        onError: (error) => this.errorListeners.forEach(listener => listener(error)),
+        onStatus: (status) => this.statusListeners.forEach(listener => listener(status))
+      });
     }
+    return LocalStorageBackend;
   },
 
   /**
-   * Set data in storage
+   * Connect to the configured backend and load its data. Call once before reading.
+   * If the server cannot be reached the page falls back to this browser's data.
+   * @param {object} options - { session: the saved { token } so a locked server sends everything at once }
+   * @returns {object} { backend, error }
    */
-  set(key, value) {
+  async init({ session = null } = {}) {
+    const config = this.getBackendConfig();
     try {
-      localStorage.setItem(key, JSON.stringify(value));
-      return true;
+      const backend = this.createBackend(config);
+      if (session && backend.setAuthToken) backend.setAuthToken(session.token);
+      await backend.load();
+      this.backend = backend;
+      return { backend: backend.name, error: null };
     } catch (error) {
-      console.error(`Error writing ${key}:`, error);
-      return false;
+      console.error('Storage backend unavailable, using this browser:', error);
+      this.backend = LocalStorageBackend;
+      return { backend: LocalStorageBackend.name, error };
     }
   },
 
+  /**
+   * Called when a background write to the server fails
+   */
+  onError(listener) {
+    this.errorListeners.push(listener);
+  },
+
+  /**
+   * Called with { state, pending, conflicts, error } whenever the sync state changes.
+   * state is 'local', 'synced', 'pending', 'syncing', 'offline' or 'error'.
+   */
+  onSyncStatus(listener) {
+    this.statusListeners.push(listener);
+    listener(this.getSyncStatus());
+  },
+
+  getSyncStatus() {
+    return this.backend.getStatus();
+  },
+
+  /**
+   * Keep the other device's copy of a quote that conflicted while syncing
+   */
+  resolveSyncConflict(quoteId) {
+    if (this.backend.resolveConflict) this.backend.resolveConflict(quoteId);
+  },
+
+  /**
+   * Send queued changes, then reload data changed on other devices
+   */
+  async refresh() {
+    await this.backend.refresh();
+  },
+
+  /**
+   * Try to send queued writes now
+   */
+  async flush() {
+    await this.backend.flush();
+  },
+
+  /**
+   * Check a server URL answers before switching to it
+   */
+  async testServer(url) {
+    const response = await fetch(`${url.replace(/\/+$/, '')}/api/health`);
+    if (!response.ok) throw new Error(`Server responded ${response.status}`);
+    return response.json();
+  },
+
+  /**
+   * Copy everything in the current backend to a server (replaces the server's data)
+   */
+  async uploadToServer(url) {
+    const data = this.exportAll();
+    const backend = this.createBackend({ type: 'http', url });
+    // A server that already has accounts only accepts this from a signed-in admin
+    if (this.backend.name === 'http' && this.backend.baseUrl === backend.baseUrl) backend.setAuthToken(this.authToken);
+    await backend.importAll(data);
+  },
+
+  /**
+   * Get data from storage
+   */
+  get(key, defaultValue = null) {
+    return this.backend.read(key, defaultValue);
+  },
+
+  /**
+   * Set data in storage
+   */
+  set(key, value) {
+    return this.backend.write(key, value);
+  },
+
   /**
    * Initialize empty data structures if needed
    */
@@ -52,6 +169,7 @@ export const DataStorage = {
       this.set(this.KEYS.PRODUCT_LINES, {});
       this.set(this.KEYS.PRODUCTS, {});
       this.set(this.KEYS.ADDONS, {});
+      this.set(this.KEYS.COLORS, {});
       this.set(this.KEYS.QUOTES, {});
       this.set(this.KEYS.QUOTE_VERSIONS, {});
 
@@ -59,7 +177,17 @@ export const DataStorage = {
       this.set(this.KEYS.GLOBAL_SETTINGS, {
         minimumUI: 65,
         alertsEnabled: true,
-        rules: []
+        rules: [],
+        promotions: [],
+        financingPlans: [],
+        floorPercent: 100,
+        mullChargePerJoint: 0,
+        taxRates: [],
+        fees: [],
+        depositSchedule: [
+          { id: 'deposit_signing', label: 'Deposit at signing', percent: 50 },
+          { id: 'deposit_install', label: 'Balance at installation', percent: 50 }
+        ]
       });
     }
   },
@@ -68,7 +196,7 @@ export const DataStorage = {
    * Get global settings
    */
   getGlobalSettings() {
-    return this.get(this.KEYS.GLOBAL_SETTINGS, { minimumUI: 65, alertsEnabled: true, rules: [] });
+    return this.get(this.KEYS.GLOBAL_SETTINGS, { minimumUI: 65, alertsEnabled: true, rules: [], promotions: [], financingPlans: [], floorPercent: 100, mullChargePerJoint: 0, taxRates: [], fees: [], depositSchedule: [] });
   },
 
   /**
@@ -108,6 +236,13 @@ export const DataStorage = {
     return this.get(this.KEYS.ADDONS, {});
   },
 
+  /**
+   * Get all frame colours
+   */
+  getColors() {
+    return this.get(this.KEYS.COLORS, {});
+  },
+
   /**
    * Save quote (creates new version)
    */
@@ -138,17 +273,152 @@ export const DataStorage = {
   },
 
   /**
-   * Publish a new pricing version (snapshot of all pricing data)
+   * Get all customers
    */
-  publishPricingVersion(notes = '') {
+  getCustomers() {
+    return this.get(this.KEYS.CUSTOMERS, {});
+  },
+
+  /**
+   * Save customer (contact details and properties)
+   */
+  saveCustomer(customer) {
+    const customers = this.getCustomers();
+    customers[customer.id] = customer;
+    this.set(this.KEYS.CUSTOMERS, customers);
+  },
+
+  /**
+   * Delete customer (their quotes keep their copy of the contact details)
+   */
+  deleteCustomer(customerId) {
+    const customers = this.getCustomers();
+    delete customers[customerId];
+    this.set(this.KEYS.CUSTOMERS, customers);
+  },
+
+  /**
+   * True once accounts are set up, so pages ask who is using them
+   */
+  isLocked() {
+    return (this.backend.isLocked && this.backend.isLocked()) || AccessControl.isLocked(this.getUsers());
+  },
+
+  /**
+   * Get all user accounts (see AccessControl), without salts and password hashes
+   */
+  getUsers() {
+    const users = this.get(this.KEYS.USERS, {});
+    return Object.fromEntries(Object.entries(users).map(([id, user]) => [id, AccessControl.publicUser(user)]));
+  },
+
+  /**
+   * Create or update an account
+   * @param {object} fields - { name, username, role, disabled, password (blank keeps the current one) }
+   * @param {object} existing - the user being edited (null for a new user)
+   * @returns {Promise<object>} the saved user
+   */
+  async saveUser(fields, existing = null) {
+    if (this.backend.saveUser) return this.backend.saveUser(fields, existing);
+    const users = this.get(this.KEYS.USERS, {});
+    let user = AccessControl.buildUser(users, fields, existing ? users[existing.id] : null);
+    if (fields.password) user = await AccessControl.setPassword(user, fields.password);
+    this.set(this.KEYS.USERS, { ...users, [user.id]: user });
+    return AccessControl.publicUser(user);
+  },
+
+  async deleteUser(userId) {
+    if (this.backend.deleteUser) return this.backend.deleteUser(userId);
+    const { [userId]: removed, ...users } = this.get(this.KEYS.USERS, {});
+    this.set(this.KEYS.USERS, users);
+  },
+
+  // ============================================================================
+  // SESSIONS
+  // ============================================================================
+
+  getDeviceSecret() {
+    let secret = localStorage.getItem(DEVICE_SECRET_KEY);
+    if (!secret) {
+      secret = AccessControl.randomHex(32);
+      localStorage.setItem(DEVICE_SECRET_KEY, secret);
+    }
+    return secret;
+  },
+
+  /**
+   * Check a username and password
+   * @returns {Promise<object|null>} { token, userId, user } to keep for resumeSession, or null
+   */
+  async signIn(username, password) {
+    if (this.backend.signIn) {
+      const session = await this.backend.signIn(username, password);
+      if (session) this.authToken = session.token;
+      return session;
+    }
+    const user = await AccessControl.authenticate(this.get(this.KEYS.USERS, {}), username, password);
+    if (!user) return null;
+    const token = await AccessControl.createSessionToken(user, this.getDeviceSecret());
+    this.authToken = token;
+    return { token, userId: user.id, user: AccessControl.publicUser(user) };
+  },
+
+  /**
+   * The user a session from signIn belongs to, or null once it has expired or been revoked
+   * @param {object} session - { token, userId }
+   */
+  async resumeSession(session) {
+    const user = this.backend.resumeSession
+      ? await this.backend.resumeSession(session)
+      : AccessControl.publicUser(await AccessControl.verifySessionToken(this.get(this.KEYS.USERS, {}), session.token, this.getDeviceSecret()));
+    this.authToken = user ? session.token : null;
+    return user;
+  },
+
+  async signOut() {
+    if (this.backend.signOut) await this.backend.signOut();
+    this.authToken = null;
+  },
+
+  /**
+   * Sign-off for a price past the rep's limits, made while the approver is signed in. The
+   * storage server works out the quote's totals itself and signs the approval, so a saved
+   * quote cannot carry one it made up.
+   * @param {object} approver - the signed-in approver
+   * @param {object} quote - the quote as it would be saved
+   * @param {object} quoteCalc - its totals on this device
+   */
+  async approveQuoteLimits(approver, quote, quoteCalc) {
+    if (this.backend.approveQuoteLimits) return this.backend.approveQuoteLimits(quote);
+    return AccessControl.approveQuoteLimits(approver, quoteCalc, this.getGlobalSettings());
+  },
+
+  /**
+   * Catalog change audit log, oldest first. Entries are only ever appended.
+   */
+  getAuditLog() {
+    return this.get(this.KEYS.AUDIT_LOG, []);
+  },
+
+  appendAuditEntry(entry) {
+    this.set(this.KEYS.AUDIT_LOG, [...this.getAuditLog(), entry]);
+  },
+
+  /**
+   * Publish a new pricing version (snapshot of all pricing data).
+   * Published versions are never changed, so the name is set here.
+   */
+  publishPricingVersion(notes = '', name = '') {
     const version = {
       id: `pricing_v${Date.now()}`,
       timestamp: new Date().toISOString(),
+      ...(name ? { name } : {}),
       notes,
       manufacturers: this.getManufacturers(),
       productLines: this.getProductLines(),
       products: this.getProducts(),
-      addons: this.getAddons()
+      addons: this.getAddons(),
+      colors: this.getColors()
     };
 
     const versions = this.get(this.KEYS.PRICING_VERSIONS, []);
@@ -174,6 +444,45 @@ export const DataStorage = {
     return versions.find(v => v.id === versionId);
   },
 
+  /**
+   * Get the id of the most recently published pricing version (null if none)
+   */
+  getCurrentPricingVersionId() {
+    return this.get(this.KEYS.CURRENT_VERSION, null);
+  },
+
+  /**
+   * Get the catalog a quote is priced from
+   * No versionId returns the live (unpublished) catalog; an unknown versionId returns null
+   */
+  getPricingCatalog(versionId = null) {
+    if (!versionId) {
+      return {
+        versionId: null,
+        name: 'Unpublished catalog',
+        manufacturers: this.getManufacturers(),
+        productLines: this.getProductLines(),
+        products: this.getProducts(),
+        addons: this.getAddons(),
+        colors: this.getColors()
+      };
+    }
+
+    const version = this.loadPricingVersion(versionId);
+    if (!version) return null;
+
+    return {
+      versionId: version.id,
+      name: version.name || version.id,
+      timestamp: version.timestamp,
+      manufacturers: version.manufacturers || {},
+      productLines: version.productLines || {},
+      products: version.products || {},
+      addons: version.addons || {},
+      colors: version.colors || {}
+    };
+  },
+
   /**
    * Export all data as JSON (for backup/migration)
    */
@@ -183,15 +492,21 @@ export const DataStorage = {
       productLines: this.getProductLines(),
       products: this.getProducts(),
       addons: this.getAddons(),
+      colors: this.getColors(),
       quotes: this.get(this.KEYS.QUOTES, {}),
       quoteVersions: this.get(this.KEYS.QUOTE_VERSIONS, {}),
+      customers: this.getCustomers(),
+      users: this.getUsers(), // For reference only: without password hashes, and never imported
+      auditLog: this.getAuditLog(),
       pricingVersions: this.getPricingVersions(),
+      currentVersionId: this.getCurrentPricingVersionId(),
       globalSettings: this.getGlobalSettings()
     };
   },
 
   /**
-   * Import data from JSON (for restore/migration)
+   * Import data from JSON (for restore/migration). Accounts and the audit log are kept as
+   * they are: a backup cannot bring back a removed user or rewrite the log.
    */
   importAll(data) {
     if (data.manufacturers) this.set(this.KEYS.MANUFACTURERS, data.manufacturers);
@@ -206,21 +521,21 @@ export const DataStorage = {
         if (!product.productLineId && product.lineId) {
           product.productLineId = product.lineId; // Handle renamed field
         }
-        // If still missing, default to first product line
-        if (!product.productLineId) {
-          const firstLineId = Object.keys(productLines)[0];
-          if (firstLineId) {
-            product.productLineId = firstLineId;
-          }
+        // Products without a line are kept as they are rather than moved to an arbitrary one
+        if (!productLines[product.productLineId]) {
+          console.warn(`Product ${product.id} has no product line (${product.productLineId || 'none'})`);
         }
       });
 
       this.set(this.KEYS.PRODUCTS, products);
     }
     if (data.addons) this.set(this.KEYS.ADDONS, data.addons);
+    if (data.colors) this.set(this.KEYS.COLORS, data.colors);
     if (data.quotes) this.set(this.KEYS.QUOTES, data.quotes);
     if (data.quoteVersions) this.set(this.KEYS.QUOTE_VERSIONS, data.quoteVersions);
+    if (data.customers) this.set(this.KEYS.CUSTOMERS, data.customers);
     if (data.pricingVersions) this.set(this.KEYS.PRICING_VERSIONS, data.pricingVersions);
+    if (data.currentVersionId) this.set(this.KEYS.CURRENT_VERSION, data.currentVersionId);
     if (data.globalSettings) this.set(this.KEYS.GLOBAL_SETTINGS, data.globalSettings);
   }
 };
@@ -0,0 +1,15 @@
+/**
+ * DATE UTILS - Framework Agnostic Core
+ * Pure functions, no UI dependencies
+ *
+ * Calendar-day helpers shared by the core modules.
+ */
+
+export const DateUtils = {
+  /**
+   * YYYY-MM-DD in local time (toISOString would shift the day east of UTC)
+   */
+  toDateString(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+};
@@ -0,0 +1,160 @@
+/**
+ * MANUFACTURER ORDERS - Framework Agnostic Core
+ * Pure functions, no UI dependencies
+ *
+ * Turns a signed quote into one order per manufacturer. Items are ordered from the
+ * signed version (never the working quote), and each unit of a mulled assembly is
+ * ordered from its own product's manufacturer. What was ordered is recorded back on
+ * the quote, keyed by manufacturer:
+ *   quote.orders = { [manufacturerId]: { manufacturerId, manufacturerName, poNumber, status, versionId, updatedAt, history } }
+ */
+
+export const ORDER_STATUSES = [
+  { value: 'ordered', label: 'Ordered', color: '#dbeafe', textColor: '#1d4ed8' },
+  { value: 'confirmed', label: 'Confirmed', color: '#ede9fe', textColor: '#6d28d9' },
+  { value: 'received', label: 'Received', color: '#dcfce7', textColor: '#15803d' },
+  { value: 'cancelled', label: 'Cancelled', color: '#f4f4f5', textColor: '#52525b' }
+];
+
+// Shown for manufacturers on the quote that have no order recorded yet
+export const NOT_ORDERED = { value: 'not_ordered', label: 'Not Ordered', color: '#fef3c7', textColor: '#92400e' };
+
+export const ManufacturerOrders = {
+  /**
+   * Group a signed version's line items by manufacturer
+   * @param {object} version - the signed quote version
+   * @param {object} catalog - the catalog the version was priced from (see DataStorage.getPricingCatalog)
+   * @returns {object} { orders: [{ manufacturerId, manufacturerName, lines }], unassigned: [{ lineNumber, position, roomLabel, reason }] }
+   *   Each order line is { lineNumber, position, roomLabel, product, productLine, width, height, ui, frameColor,
+   *   mullType, assemblyJoints, hingeSide, swingType, appliedOptions, addons, notes }
+   */
+  buildOrders(version, catalog) {
+    const products = catalog.products || {};
+    const productLines = catalog.productLines || {};
+    const manufacturers = catalog.manufacturers || {};
+    const orders = {};
+    const unassigned = [];
+
+    const addUnit = (item, unit, lineNumber, position) => {
+      const product = products[unit.productId];
+      const productLine = product ? productLines[product.productLineId] : null;
+      const manufacturer = productLine ? manufacturers[productLine.manufacturerId] : null;
+      if (!manufacturer) {
+        unassigned.push({
+          lineNumber,
+          position,
+          roomLabel: item.roomLabel,
+          reason: !product ? 'Product is not in the catalog' : !productLine ? 'Product has no product line' : 'Product line has no manufacturer'
+        });
+        return;
+      }
+
+      if (!orders[manufacturer.id]) {
+        orders[manufacturer.id] = { manufacturerId: manufacturer.id, manufacturerName: manufacturer.name, lines: [] };
+      }
+      orders[manufacturer.id].lines.push({
+        lineNumber,
+        position,
+        roomLabel: item.roomLabel,
+        product,
+        productLine,
+        width: unit.width,
+        height: unit.height,
+        ui: unit.ui ?? Math.ceil((unit.width || 0) + (unit.height || 0)),
+        frameColor: item.frameColor || 'white',
+        mullType: item.assembly ? '' : item.mullType || '',
+        assemblyJoints: item.assembly ? item.assembly.joints : 0,
+        hingeSide: unit.hingeSide || '',
+        swingType: unit.swingType || '',
+        appliedOptions: unit.appliedOptions || [],
+        // Colour upcharges are covered by the frame colour
+        addons: (unit.appliedAddons || []).filter(addon => !addon.frameColor).map(addon => addon.name),
+        notes: item.extraNotes || ''
+      });
+    };
+
+    (version.lineItems || []).forEach((item, index) => {
+      const lineNumber = index + 1;
+      if (item.assembly) {
+        item.assembly.rows.forEach((row, rowIndex) => row.forEach((unit, unitIndex) => {
+          addUnit(item, unit, lineNumber, `Row ${rowIndex + 1}, unit ${unitIndex + 1}`);
+        }));
+      } else {
+        addUnit(item, item, lineNumber, '');
+      }
+    });
+
+    return {
+      orders: Object.values(orders).sort((a, b) => a.manufacturerName.localeCompare(b.manufacturerName)),
+      unassigned
+    };
+  },
+
+  getStatusDefinition(status) {
+    return ORDER_STATUSES.find(def => def.value === status) || NOT_ORDERED;
+  },
+
+  getOrder(quote, manufacturerId) {
+    return (quote.orders || {})[manufacturerId] || null;
+  },
+
+  /**
+   * Record an order's status and PO number on the quote
+   * @returns {object} new quote object (the original is not modified)
+   */
+  recordOrder(quote, { manufacturerId, manufacturerName }, { status, poNumber, note = '', versionId = null, at = new Date() }) {
+    if (!ORDER_STATUSES.some(def => def.value === status)) throw new Error(`Unknown order status "${status}"`);
+    const trimmedPo = String(poNumber || '').trim();
+    if (!trimmedPo) throw new Error(`Enter the PO number for ${manufacturerName}`);
+
+    const existing = this.getOrder(quote, manufacturerId);
+    const duplicate = Object.values(quote.orders || {})
+      .find(order => order.manufacturerId !== manufacturerId && order.poNumber.toLowerCase() === trimmedPo.toLowerCase());
+    if (duplicate) throw new Error(`PO ${trimmedPo} is already used for ${duplicate.manufacturerName}`);
+
+    const timestamp = new Date(at).toISOString();
+    const record = {
+      manufacturerId,
+      manufacturerName,
+      poNumber: trimmedPo,
+      status,
+      versionId,
+      updatedAt: timestamp,
+      history: [
+        ...(existing ? existing.history || [] : []),
+        { status, poNumber: trimmedPo, at: timestamp, note: String(note || '').trim(), versionId }
+      ]
+    };
+    return { ...quote, orders: { ...(quote.orders || {}), [manufacturerId]: record } };
+  },
+
+  /**
+   * Default PO number: the quote's date stamp and the manufacturer's position in the order list
+   */
+  suggestPoNumber(quote, index) {
+    const stamp = String(quote.id || '').replace(/\D/g, '').slice(-6) || '000000';
+    return `PO-${stamp}-${index + 1}`;
+  },
+
+  /**
+   * True when an order was placed against an earlier signed version (a change order was signed since)
+   */
+  isOutdated(quote, order) {
+    return Boolean(order && order.status !== 'cancelled' && quote.acceptance && order.versionId && order.versionId !== quote.acceptance.versionId);
+  },
+
+  /**
+   * Overall ordering state of a quote, for lists
+   * @param {array} manufacturerIds - manufacturers the signed version needs orders from
+   * @returns {object} { total, placed, received, outdated }
+   */
+  summarize(quote, manufacturerIds) {
+    const active = manufacturerIds.map(id => this.getOrder(quote, id)).filter(order => order && order.status !== 'cancelled');
+    return {
+      total: manufacturerIds.length,
+      placed: active.length,
+      received: active.filter(order => order.status === 'received').length,
+      outdated: active.filter(order => this.isOutdated(quote, order)).length
+    };
+  }
+};
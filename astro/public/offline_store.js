@@ -0,0 +1,60 @@
+/**
+ * OFFLINE STORE - small IndexedDB key/value store
+ * Holds the HTTP backend's copy of the data and its queue of unsynced writes,
+ * so a rep can reload the page and keep quoting without a connection.
+ */
+
+const DB_NAME = 'quoting_offline';
+const STORE_NAME = 'state';
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+}
+
+async function run(mode, operation) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+export const OfflineStore = {
+  /**
+   * Read a value (undefined if missing)
+   */
+  get(key) {
+    return run('readonly', store => store.get(key));
+  },
+
+  /**
+   * Write a value
+   */
+  set(key, value) {
+    return run('readwrite', store => store.put(value, key));
+  },
+
+  /**
+   * Remove a value
+   */
+  remove(key) {
+    return run('readwrite', store => store.delete(key));
+  }
+};
@@ -41,6 +41,28 @@ export const PricingEngine = {
     return true;
   },
 
+  /**
+   * Check if a frame colour is offered for a product (colours can be limited to product lines)
+   * @param {object} color - { allowedProductLines: [productLineId] } - empty means every line
+   */
+  isColorAllowed(color, product) {
+    if (!color || color.enabled === false || color.archived) return false;
+    if (color.allowedProductLines && color.allowedProductLines.length > 0) {
+      const productLine = product.productLineId || product.productLine;
+      return !!productLine && color.allowedProductLines.includes(productLine);
+    }
+    return true;
+  },
+
+  /**
+   * Colour upcharge: per UI, flat, or nothing
+   */
+  calculateColorPrice(color, effectiveUI) {
+    if (color.pricingModel === 'UI') return effectiveUI * (color.uiRate || 0);
+    if (color.pricingModel === 'FLAT') return color.flatPrice || 0;
+    return 0;
+  },
+
   /**
    * Get available addons for a product, filtered by restrictions
    * @param {object} product - The product to get addons for
@@ -51,7 +73,8 @@ export const PricingEngine = {
   getAvailableAddonsForProduct(product, ui, allAddons = {}) {
     return Object.keys(allAddons).filter(addonId => {
       const addon = allAddons[addonId];
-      return this.isAddonAllowed(addon, product, ui);
+      // Archived addons stay priced on the items that already have them, but aren't offered
+      return !addon.archived && this.isAddonAllowed(addon, product, ui);
     });
   },
 
@@ -69,24 +92,160 @@ export const PricingEngine = {
     return (width * height) / 144; // Convert sq inches to sq feet
   },
 
+  /**
+   * Calculate the perimeter in linear feet
+   */
+  calculatePerimeterFeet(width, height) {
+    return 2 * (width + height) / 12;
+  },
+
+  /**
+   * Price bracket for a UI: the first tier whose maxUI covers it (maxUI null = no upper limit)
+   * @param {array} tiers - [{ maxUI, price }] in ascending order
+   */
+  lookupUITier(tiers = [], ui) {
+    const tier = tiers.find(t => t.maxUI === null || t.maxUI === undefined || ui <= t.maxUI);
+    if (!tier) {
+      const largest = tiers.length > 0 ? tiers[tiers.length - 1].maxUI : 0;
+      throw new Error(`${ui} UI is above the largest price tier (${largest} UI)`);
+    }
+    return tier;
+  },
+
+  /**
+   * Price from a width × height grid, rounding the size up to the next width and height listed
+   * @param {object} matrix - { widths: [], heights: [], prices: [[price per width] per height] }
+   */
+  lookupSizeMatrix(matrix, width, height) {
+    const widths = (matrix && matrix.widths) || [];
+    const heights = (matrix && matrix.heights) || [];
+    const col = widths.findIndex(w => width <= w);
+    const row = heights.findIndex(h => height <= h);
+    if (col === -1 || row === -1) {
+      throw new Error(`${width}" × ${height}" is outside the price grid (up to ${widths[widths.length - 1] || 0}" × ${heights[heights.length - 1] || 0}")`);
+    }
+    const price = matrix.prices[row] ? matrix.prices[row][col] : null;
+    if (price === null || price === undefined || isNaN(price)) {
+      throw new Error(`No price for ${widths[col]}" × ${heights[row]}" in the price grid`);
+    }
+    return price;
+  },
+
+  /**
+   * Price a product or addon under its pricing model
+   * @param {object} item - { pricingModel, uiRate, flatPrice, uiTiers, sizeMatrix, sqftRate, perimeterRate }
+   * @param {object} size - { width, height, effectiveUI } - UI models use effectiveUI (minimum UI applied)
+   */
+  calculateModelPrice(item, { width = 0, height = 0, effectiveUI = 0 }) {
+    switch (item.pricingModel) {
+      case 'UI': return effectiveUI * (item.uiRate || 0);
+      case 'FLAT': return item.flatPrice || 0;
+      case 'UI_TIERED': return this.lookupUITier(item.uiTiers, effectiveUI).price;
+      case 'SIZE_MATRIX': return this.lookupSizeMatrix(item.sizeMatrix, width, height);
+      case 'SQFT': return this.calculateSquareFootage(width, height) * (item.sqftRate || 0);
+      case 'PERIMETER': return this.calculatePerimeterFeet(width, height) * (item.perimeterRate || 0);
+      default: throw new Error(`Invalid pricing model: ${item.pricingModel}`);
+    }
+  },
+
+  /**
+   * Dealer cost of a product or addon at the price it was sold for
+   * @param {object} item - { costModel: 'UI' | 'FLAT' | 'MULTIPLIER' | null, costUIRate, costFlatPrice, costMultiplier }
+   * @param {number} price - Par price of the item (multipliers apply to it)
+   * @param {number} costMultiplier - Manufacturer multiplier, used when the item has no cost model of its own
+   * @returns {number|null} Cost, or null when nothing says what the item costs
+   */
+  calculateCost(item, price, { effectiveUI = 0, costMultiplier = null } = {}) {
+    switch (item.costModel) {
+      case 'UI': return effectiveUI * (item.costUIRate || 0);
+      case 'FLAT': return item.costFlatPrice || 0;
+      case 'MULTIPLIER': return price * (item.costMultiplier || 0);
+      default: return costMultiplier === null || costMultiplier === undefined ? null : price * costMultiplier;
+    }
+  },
+
+  /**
+   * Apply rule price adjustments to an amount: percent surcharge first, then the minimum price floor
+   * @param {number} amount - Price before adjustments
+   * @param {object} priceAdjustments - { surchargePercent, minimumPrice } from RulesEngine.applyRules
+   * @returns {object} { surcharge, minimumAdjustment, total }
+   */
+  applyPriceAdjustments(amount, priceAdjustments = {}) {
+    const surchargePercent = priceAdjustments.surchargePercent || 0;
+    const surcharge = amount * surchargePercent / 100;
+    const afterSurcharge = amount + surcharge;
+    const minimumPrice = priceAdjustments.minimumPrice;
+    const minimumAdjustment = minimumPrice !== null && minimumPrice !== undefined && afterSurcharge < minimumPrice
+      ? minimumPrice - afterSurcharge
+      : 0;
+
+    return {
+      surcharge,
+      minimumAdjustment,
+      total: afterSurcharge + minimumAdjustment
+    };
+  },
+
+  /**
+   * Options picked for a line item, looked up in the product's option sets
+   * @param {object} selectedOptions - { grille: { id, litesWide, litesHigh }, glass: { id }, hardware: { id } }
+   * @returns {array} [{ kind, ...option }] - options the product no longer offers are dropped
+   */
+  resolveProductOptions(product, selectedOptions = {}) {
+    const optionSets = product.options || {};
+    return Object.entries(selectedOptions || {})
+      .filter(([, selection]) => selection && selection.id)
+      .map(([kind, selection]) => {
+        const option = (optionSets[kind] || []).find(o => o.id === selection.id);
+        if (!option) return null;
+        if (kind !== 'grille') return { kind, ...option };
+        return {
+          kind,
+          ...option,
+          litesWide: Math.max(parseInt(selection.litesWide) || 1, 1),
+          litesHigh: Math.max(parseInt(selection.litesHigh) || 1, 1)
+        };
+      })
+      .filter(Boolean);
+  },
+
+  /**
+   * Price of one product option: per UI, flat, or per lite (grilles)
+   */
+  calculateOptionPrice(option, effectiveUI) {
+    if (option.pricingModel === 'UI') return effectiveUI * (option.uiRate || 0);
+    if (option.pricingModel === 'PER_LITE') return (option.litesWide || 1) * (option.litesHigh || 1) * (option.liteRate || 0);
+    return option.flatPrice || 0;
+  },
+
   /**
    * Calculate a single line item's pricing
-   * @returns {object} { ui, basePrice, addonTotal, lineItemParTotal, appliedAddons }
+   * @param {array} excludedAddonIds - Addons removed or blocked by rules (skipped even if mandatory)
+   * @param {object} priceAdjustments - Rule surcharge/minimum price for this line
+   * @param {object} selectedOptions - Grille, glass and hardware picks (see resolveProductOptions)
+   * @param {object} frameColor - Catalog colour; an upcharge is listed in appliedAddons
+   * @param {number} costMultiplier - The manufacturer's cost multiplier, for the product, addons, options and
+   *   colour without a cost of their own. Rule surcharges carry no cost.
+   * @returns {object} { ui, basePrice, addonTotal, optionTotal, ruleSurcharge, ruleMinimumAdjustment, lineItemParTotal,
+   *   appliedAddons, appliedOptions, cost, costMissing: [names of priced parts with no known cost] }
    */
-  calculateLineItem({ product, width, height, selectedAddonIds = [], allAddons = {} }) {
+  calculateLineItem({ product, width, height, selectedAddonIds = [], allAddons = {}, excludedAddonIds = [], priceAdjustments = {}, selectedOptions = {}, frameColor = null, costMultiplier = null }) {
     // Step 1: Calculate UI
     const ui = this.calculateUI(width, height);
     const effectiveUI = Math.max(ui, product.minimumUI || 0);
 
     // Step 2: Calculate base par price
-    let basePrice = 0;
-    if (product.pricingModel === 'UI') {
-      basePrice = effectiveUI * product.uiRate;
-    } else if (product.pricingModel === 'FLAT') {
-      basePrice = product.flatPrice;
-    } else {
-      throw new Error(`Invalid pricing model: ${product.pricingModel}`);
-    }
+    const basePrice = this.calculateModelPrice(product, { width, height, effectiveUI });
+
+    // Dealer cost alongside the par price; parts with no known cost are named rather than guessed
+    let cost = 0;
+    const costMissing = [];
+    const addCost = (name, partCost) => {
+      if (partCost === null) costMissing.push(name);
+      else cost += partCost;
+      return partCost;
+    };
+    addCost(product.name, this.calculateCost(product, basePrice, { effectiveUI, costMultiplier }));
 
     // Step 3: Process addons
     const appliedAddons = [];
@@ -95,10 +254,11 @@ export const PricingEngine = {
 
     // Auto-apply mandatory addons
     const mandatoryAddonIds = (product.allowedAddons || [])
-      .filter(addonId => allAddons[addonId]?.mandatory)
+      .filter(addonId => allAddons[addonId]?.mandatory && !allAddons[addonId].archived)
       .map(addonId => addonId);
 
-    const allAddonIds = [...new Set([...mandatoryAddonIds, ...selectedAddonIds])];
+    const allAddonIds = [...new Set([...mandatoryAddonIds, ...selectedAddonIds])]
+      .filter(addonId => !excludedAddonIds.includes(addonId));
 
     for (const addonId of allAddonIds) {
       const addon = allAddons[addonId];
@@ -119,10 +279,10 @@ export const PricingEngine = {
 
       // Calculate addon price
       let addonPrice = 0;
-      if (addon.pricingModel === 'UI') {
-        addonPrice = effectiveUI * addon.uiRate;
-      } else if (addon.pricingModel === 'FLAT') {
-        addonPrice = addon.flatPrice;
+      try {
+        addonPrice = this.calculateModelPrice(addon, { width, height, effectiveUI });
+      } catch (error) {
+        throw new Error(`${addon.name}: ${error.message}`);
       }
 
       addonTotal += addonPrice;
@@ -130,26 +290,268 @@ export const PricingEngine = {
         id: addonId,
         name: addon.name,
         price: addonPrice,
-        hidden: addon.hiddenFromCustomer || false
+        cost: addCost(addon.name, this.calculateCost(addon, addonPrice, { effectiveUI, costMultiplier })),
+        hidden: addon.hiddenFromCustomer || false,
+        nonTaxable: addon.nonTaxable || false
       });
     }
 
-    // Step 4: Line item total
-    const lineItemParTotal = basePrice + addonTotal;
+    // Colour upcharge (dark exteriors etc.) - colours not offered for this product line are not charged
+    if (frameColor && this.isColorAllowed(frameColor, product)) {
+      const colorPrice = this.calculateColorPrice(frameColor, effectiveUI);
+      if (colorPrice > 0) {
+        addonTotal += colorPrice;
+        appliedAddons.push({
+          id: frameColor.id,
+          name: `${frameColor.name} frame`,
+          price: colorPrice,
+          cost: addCost(`${frameColor.name} frame`, this.calculateCost({}, colorPrice, { costMultiplier })),
+          hidden: false,
+          nonTaxable: false,
+          frameColor: true
+        });
+      }
+    }
+
+    // Step 4: Product options (grilles, glass, hardware)
+    const appliedOptions = this.resolveProductOptions(product, selectedOptions)
+      .map(option => ({ ...option, price: this.calculateOptionPrice(option, effectiveUI) }));
+    const optionTotal = appliedOptions.reduce((sum, option) => sum + option.price, 0);
+    appliedOptions.filter(option => option.price > 0)
+      .forEach(option => addCost(option.name, this.calculateCost({}, option.price, { costMultiplier })));
+
+    // Step 5: Line item total, including rule surcharges and minimum price
+    const adjusted = this.applyPriceAdjustments(basePrice + addonTotal + optionTotal, priceAdjustments);
 
     return {
       ui: effectiveUI,
       basePrice,
       addonTotal,
-      lineItemParTotal,
-      appliedAddons
+      optionTotal,
+      ruleSurcharge: adjusted.surcharge,
+      ruleMinimumAdjustment: adjusted.minimumAdjustment,
+      lineItemParTotal: adjusted.total,
+      appliedAddons,
+      appliedOptions,
+      cost,
+      costMissing
     };
   },
 
+  /**
+   * Overall size and number of mull joints for a mulled assembly. Rows run top to bottom and
+   * units left to right within a row; each row is as tall as its tallest unit.
+   * @param {array} rows - [[{ width, height }]]
+   * @returns {object} { width, height, joints }
+   */
+  calculateAssemblyLayout(rows = []) {
+    const filled = rows.filter(row => row.length > 0);
+    const width = Math.max(0, ...filled.map(row => row.reduce((sum, unit) => sum + unit.width, 0)));
+    const height = filled.reduce((sum, row) => sum + Math.max(...row.map(unit => unit.height)), 0);
+    const joints = filled.reduce((sum, row) => sum + row.length - 1, 0) + Math.max(filled.length - 1, 0);
+    return { width, height, joints };
+  },
+
+  /**
+   * Price a mulled assembly from units already priced with calculateLineItem, plus a mulling charge per joint
+   * @param {array} rows - [[unit]] where each unit carries calculateLineItem output
+   * @param {number} mullChargePerJoint - Charge for each joint between units
+   * @returns {object} { width, height, joints, mullCharge, ui, basePrice, addonTotal, optionTotal, ruleSurcharge, ruleMinimumAdjustment, lineItemParTotal,
+   *   appliedAddons, appliedOptions, cost, costMissing } - appliedOptions lists every unit's options (each unit keeps its own too)
+   */
+  calculateAssembly({ rows = [], mullChargePerJoint = 0 }) {
+    const units = rows.flat();
+    if (units.length === 0) {
+      throw new Error('Assembly needs at least one unit');
+    }
+
+    const layout = this.calculateAssemblyLayout(rows);
+    const mullCharge = layout.joints * (mullChargePerJoint || 0);
+    const sum = (key) => units.reduce((total, unit) => total + (unit[key] || 0), 0);
+
+    return {
+      ...layout,
+      mullCharge,
+      ui: sum('ui'),
+      basePrice: sum('basePrice'),
+      addonTotal: sum('addonTotal'),
+      optionTotal: sum('optionTotal'),
+      ruleSurcharge: sum('ruleSurcharge'),
+      ruleMinimumAdjustment: sum('ruleMinimumAdjustment'),
+      lineItemParTotal: sum('lineItemParTotal') + mullCharge,
+      appliedAddons: units.flatMap(unit => unit.appliedAddons || []),
+      appliedOptions: units.flatMap(unit => unit.appliedOptions || []),
+      cost: sum('cost'),
+      costMissing: units.flatMap(unit => unit.costMissing || [])
+    };
+  },
+
+  /**
+   * Promotions that apply to a quote: enabled, inside their date window and over their quantity threshold
+   * @param {array} promotions - [{ id, name, enabled, type: 'percent' | 'fixed', value, minQuantity, startDate, endDate, stackable }]
+   * @param {object} context - { quantity: number of openings, date: 'YYYY-MM-DD' }
+   * @returns {array} Eligible promotions
+   */
+  getEligiblePromotions(promotions = [], { quantity = 0, date = null } = {}) {
+    return promotions.filter(promo => {
+      if (!promo || promo.enabled === false) return false;
+      if (promo.minQuantity && quantity < promo.minQuantity) return false;
+      if (date && promo.startDate && date < promo.startDate) return false;
+      if (date && promo.endDate && date > promo.endDate) return false;
+      return true;
+    });
+  },
+
+  /**
+   * Amount taken off by a percent or fixed discount, never more than the amount itself
+   * @param {object} discount - { type: 'percent' | 'fixed', value }
+   */
+  calculateDiscountAmount(discount, amount) {
+    const value = parseFloat(discount && discount.value) || 0;
+    if (value <= 0 || amount <= 0) return 0;
+    const raw = discount.type === 'percent' ? amount * value / 100 : value;
+    return Math.min(raw, amount);
+  },
+
+  /**
+   * Apply promotions with stacking rules: stackable promotions combine, a non-stackable promotion
+   * is used on its own. Whichever gives the customer the larger discount wins.
+   * @returns {object} { applied: [{ id, name, type, value, stackable, amount }], total }
+   */
+  applyPromotions(promotions = [], amount) {
+    const priced = promotions.map(promo => ({
+      id: promo.id,
+      name: promo.name,
+      type: promo.type,
+      value: promo.value,
+      stackable: Boolean(promo.stackable),
+      amount: this.calculateDiscountAmount(promo, amount)
+    })).filter(promo => promo.amount > 0);
+
+    const stacked = priced.filter(promo => promo.stackable);
+    const stackedTotal = Math.min(stacked.reduce((sum, promo) => sum + promo.amount, 0), amount);
+    const bestSingle = priced
+      .filter(promo => !promo.stackable)
+      .sort((a, b) => b.amount - a.amount)[0];
+
+    if (bestSingle && bestSingle.amount > stackedTotal) {
+      return { applied: [bestSingle], total: bestSingle.amount };
+    }
+    return { applied: stacked, total: stackedTotal };
+  },
+
+  /**
+   * Sales tax and fees on a priced quote. Non-taxable addons (labor, services) are taken out of
+   * the taxable base in proportion, so discounts and uplift are taxed the same way as the work.
+   * @param {array} taxRates - [{ id, name, rate, enabled }] - enabled rates add up
+   * @param {array} fees - [{ id, name, amount, taxable, enabled }] - fixed fees such as permits and disposal
+   * @returns {object} { taxableAmount, taxes: [{ id, name, rate, amount }], taxRate, taxTotal, fees, feeTotal }
+   */
+  calculateTaxes({ lineItems = [], jobBasedAddons = [], subtotal, finalPrice, taxRates = [], fees = [] }) {
+    const nonTaxableTotal = lineItems.reduce((sum, item) => sum + (item.appliedAddons || [])
+      .filter(addon => addon.nonTaxable)
+      .reduce((lineSum, addon) => lineSum + (addon.price || 0), 0), 0)
+      + jobBasedAddons.filter(addon => addon.nonTaxable).reduce((sum, addon) => sum + (addon.price || 0), 0);
+    const taxableShare = subtotal > 0 ? Math.min(Math.max((subtotal - nonTaxableTotal) / subtotal, 0), 1) : 1;
+
+    const appliedFees = fees
+      .filter(fee => fee && fee.enabled !== false && parseFloat(fee.amount) > 0)
+      .map(fee => ({ id: fee.id, name: fee.name, amount: parseFloat(fee.amount), taxable: Boolean(fee.taxable) }));
+    const feeTotal = appliedFees.reduce((sum, fee) => sum + fee.amount, 0);
+    const taxableFees = appliedFees.filter(fee => fee.taxable).reduce((sum, fee) => sum + fee.amount, 0);
+
+    const taxableAmount = finalPrice * taxableShare + taxableFees;
+    const taxes = taxRates
+      .filter(tax => tax && tax.enabled !== false && parseFloat(tax.rate) > 0)
+      .map(tax => ({
+        id: tax.id,
+        name: tax.name,
+        rate: parseFloat(tax.rate),
+        amount: Math.round(taxableAmount * parseFloat(tax.rate)) / 100
+      }));
+
+    return {
+      taxableAmount,
+      taxes,
+      taxRate: taxes.reduce((sum, tax) => sum + tax.rate, 0),
+      taxTotal: taxes.reduce((sum, tax) => sum + tax.amount, 0),
+      fees: appliedFees,
+      feeTotal
+    };
+  },
+
+  /**
+   * Split a total into deposit and progress payments. The last payment takes the remaining
+   * balance so the schedule always adds up to the total, even if the percents do not.
+   * @param {array} schedule - [{ id, label, percent }]
+   * @returns {array} [{ id, label, percent, amount }]
+   */
+  calculatePaymentSchedule(total, schedule = []) {
+    const totalCents = Math.round(total * 100);
+    let allocated = 0;
+    return schedule.map((payment, index) => {
+      const percent = parseFloat(payment.percent) || 0;
+      const cents = index === schedule.length - 1
+        ? totalCents - allocated
+        : Math.round(totalCents * percent / 100);
+      allocated += cents;
+      return { id: payment.id, label: payment.label, percent, amount: cents / 100 };
+    });
+  },
+
+  /**
+   * Sales commission under a commission plan
+   * @param {object} plan - { type: 'UPLIFT_PERCENT' | 'MARGIN_PERCENT', percent } or
+   *   { type: 'TIERED', tiers: [{ minMarginPercent, percent }] } - a percent of the sale, by margin band
+   * @returns {number} Commission (0 with no plan, no uplift, a loss, or a margin under the lowest tier)
+   */
+  calculateCommission(plan, { salesUplift = 0, grossMargin = 0, marginPercent = 0, finalPrice = 0 } = {}) {
+    if (!plan) return 0;
+    if (plan.type === 'UPLIFT_PERCENT') return salesUplift * (parseFloat(plan.percent) || 0) / 100;
+    if (plan.type === 'MARGIN_PERCENT') return Math.max(grossMargin, 0) * (parseFloat(plan.percent) || 0) / 100;
+    if (plan.type === 'TIERED') {
+      const tier = (plan.tiers || [])
+        .filter(t => marginPercent >= t.minMarginPercent)
+        .sort((a, b) => b.minMarginPercent - a.minMarginPercent)[0];
+      return tier ? finalPrice * tier.percent / 100 : 0;
+    }
+    return 0;
+  },
+
   /**
    * Calculate complete quote pricing with job-based addons
+   * @param {object} priceAdjustments - Job rule surcharge/minimum price, applied to par plus job addons
+   * @param {array} promotions - Promotions from global settings (see getEligiblePromotions)
+   * @param {object} discount - Manager discount { type: 'percent' | 'fixed', value, reason }, applied after promotions
+   * @param {string} quoteDate - 'YYYY-MM-DD', used for promotion date windows
+   * @param {number} floorPercent - Lowest final price as a percent of par (100 = never below par)
+   * @param {object} floorOverride - { reason } from a manager, required to go below the floor
+   * @param {array} taxRates - Sales tax rates from global settings (see calculateTaxes)
+   * @param {array} fees - Permit/disposal fees from global settings, added after the floor check
+   * @param {array} depositSchedule - Payment milestones applied to the grand total
+   * @param {object} commissionPlan - The rep's plan (see calculateCommission)
+   * @param {number} minimumMarginPercent - Lowest gross margin % a quote may be saved at (null = no minimum).
+   *   Only flagged here (belowMinimumMargin) - the quote page refuses to save it.
+   *
+   * Cost, margin and commission are internal figures: margin is the final price (before tax and fees)
+   * less the dealer cost of the line items and job addons.
    */
-  calculateQuote({ lineItems, jobBasedAddons = [], salesUplift = 0 }) {
+  calculateQuote({
+    lineItems,
+    jobBasedAddons = [],
+    salesUplift = 0,
+    priceAdjustments = {},
+    promotions = [],
+    discount = null,
+    quoteDate = null,
+    floorPercent = 100,
+    floorOverride = null,
+    taxRates = [],
+    fees = [],
+    depositSchedule = [],
+    commissionPlan = null,
+    minimumMarginPercent = null
+  }) {
     if (salesUplift < 0) {
       throw new Error('Sales uplift cannot be negative');
     }
@@ -162,35 +564,157 @@ export const PricingEngine = {
       jobAddonTotal += addon.price || 0;
     }
 
-    const finalPrice = totalParPrice + jobAddonTotal + salesUplift;
+    const adjusted = this.applyPriceAdjustments(totalParPrice + jobAddonTotal, priceAdjustments);
+    const jobRuleAdjustment = adjusted.surcharge + adjusted.minimumAdjustment;
+    const subtotal = adjusted.total;
+
+    // Discounts: promotions first, then the manager discount on what is left
+    const eligible = this.getEligiblePromotions(promotions, { quantity: lineItems.length, date: quoteDate });
+    const promotionResult = this.applyPromotions(eligible, subtotal);
+    const manualDiscount = discount ? this.calculateDiscountAmount(discount, subtotal - promotionResult.total) : 0;
+    const discountTotal = promotionResult.total + manualDiscount;
+
+    const finalPrice = subtotal - discountTotal + salesUplift;
 
-    if (finalPrice < totalParPrice) {
-      throw new Error('Final price cannot be below par price');
+    const floor = parseFloat(floorPercent);
+    const floorPrice = totalParPrice * (isNaN(floor) ? 100 : floor) / 100;
+    const belowFloor = Math.round(finalPrice * 100) < Math.round(floorPrice * 100);
+    const floorOverrideReason = floorOverride && floorOverride.reason ? String(floorOverride.reason).trim() : '';
+
+    if (belowFloor && !floorOverrideReason) {
+      throw new Error(isNaN(floor) || floor >= 100
+        ? 'Final price cannot be below par price without a manager override reason'
+        : `Final price cannot be below the floor price ($${floorPrice.toFixed(2)}) without a manager override reason`);
     }
 
+    const taxResult = this.calculateTaxes({ lineItems, jobBasedAddons, subtotal, finalPrice, taxRates, fees });
+    const grandTotal = finalPrice + taxResult.feeTotal + taxResult.taxTotal;
+
+    // Line items saved before costs were tracked have no cost at all
+    const costMissing = [
+      ...lineItems.flatMap(item => typeof item.cost === 'number' ? item.costMissing || [] : [item.roomLabel || item.productId]),
+      ...jobBasedAddons.filter(addon => typeof addon.cost !== 'number').map(addon => addon.name)
+    ];
+    const totalCost = lineItems.reduce((sum, item) => sum + (item.cost || 0), 0)
+      + jobBasedAddons.reduce((sum, addon) => sum + (addon.cost || 0), 0);
+    const grossMargin = finalPrice - totalCost;
+    const marginPercent = finalPrice > 0 ? grossMargin / finalPrice * 100 : 0;
+    const commission = this.calculateCommission(commissionPlan, { salesUplift, grossMargin, marginPercent, finalPrice });
+    const minimumMargin = parseFloat(minimumMarginPercent);
+    const belowMinimumMargin = !isNaN(minimumMargin) && lineItems.length > 0
+      && Math.round(marginPercent * 100) < Math.round(minimumMargin * 100);
+
     return {
       totalParPrice,
       jobAddonTotal,
       jobBasedAddons,
+      jobRuleAdjustment,
+      subtotal,
+      promotions: promotionResult.applied,
+      promotionDiscount: promotionResult.total,
+      manualDiscount,
+      discountTotal,
       salesUplift,
-      finalPrice
+      floorPrice,
+      belowFloor,
+      floorOverrideReason: belowFloor ? floorOverrideReason : '',
+      finalPrice,
+      fees: taxResult.fees,
+      feeTotal: taxResult.feeTotal,
+      taxableAmount: taxResult.taxableAmount,
+      taxes: taxResult.taxes,
+      taxRate: taxResult.taxRate,
+      taxTotal: taxResult.taxTotal,
+      grandTotal,
+      paymentSchedule: this.calculatePaymentSchedule(grandTotal, depositSchedule),
+      totalCost,
+      costMissing,
+      grossMargin,
+      marginPercent,
+      commissionPlanId: commissionPlan ? commissionPlan.id : null,
+      commission,
+      minimumMarginPercent: isNaN(minimumMargin) ? null : minimumMargin,
+      belowMinimumMargin
+    };
+  },
+
+  /**
+   * Monthly payment for a financing plan (standard amortization, 0% APR splits evenly)
+   * @param {number} amount - Amount financed
+   * @param {object} plan - { apr, months }
+   * @returns {object|null} { apr, months, monthlyPayment, totalPaid, financeCharge }
+   */
+  calculateFinancing(amount, { apr = 0, months = 0 } = {}) {
+    const term = parseInt(months);
+    if (!term || term <= 0 || !(amount > 0)) return null;
+
+    const rate = (parseFloat(apr) || 0) / 100 / 12;
+    const monthlyPayment = rate === 0
+      ? amount / term
+      : amount * rate / (1 - Math.pow(1 + rate, -term));
+    const totalPaid = monthlyPayment * term;
+
+    return {
+      apr: parseFloat(apr) || 0,
+      months: term,
+      monthlyPayment,
+      totalPaid,
+      financeCharge: totalPaid - amount
     };
   },
 
+  /**
+   * Price selected job addons. UI and UI-tiered job addons use the total UI of all line items;
+   * square foot and perimeter job addons add up the area or perimeter of every opening.
+   * (Size matrices price one opening, so the admin page doesn't allow them on job addons.)
+   * Job addons have no manufacturer, so their cost is their own cost model or unknown (null).
+   * @returns {array} [{ id, name, price, cost, nonTaxable }]
+   */
+  calculateJobAddons({ selectedJobAddonIds = [], lineItems = [], allAddons = {} }) {
+    const totalUI = lineItems.reduce((sum, item) => sum + item.ui, 0);
+    return selectedJobAddonIds.map(addonId => {
+      const addon = allAddons[addonId];
+      if (!addon) return null;
+
+      let price = addon.flatPrice || 0;
+      if (addon.pricingModel === 'UI' || addon.pricingModel === 'UI_TIERED') {
+        price = this.calculateModelPrice(addon, { effectiveUI: totalUI });
+      } else if (addon.pricingModel === 'SQFT' || addon.pricingModel === 'PERIMETER') {
+        price = lineItems.reduce((sum, item) => sum + this.calculateModelPrice(addon, item), 0);
+      }
+
+      const cost = this.calculateCost(addon, price, { effectiveUI: totalUI });
+      return { id: addonId, name: addon.name, price, cost, nonTaxable: addon.nonTaxable || false };
+    }).filter(a => a !== null);
+  },
+
   /**
    * Create a locked quote version (immutable snapshot)
+   * @param {string} pricingVersionId - Pricing version the quote was priced under (null = unpublished catalog)
+   * @param {object} pricingOptions - Promotions, discount, quote date, floor, tax, fee, deposit and commission settings (see calculateQuote)
    */
-  createQuoteVersion({ quoteId, lineItems, salesUplift = 0, metadata = {} }) {
-    const quoteCalc = this.calculateQuote({ lineItems, salesUplift });
+  createQuoteVersion({ quoteId, lineItems, jobBasedAddons = [], salesUplift = 0, priceAdjustments = {}, pricingVersionId = null, pricingOptions = {}, metadata = {} }) {
+    const quoteCalc = this.calculateQuote({ lineItems, jobBasedAddons, salesUplift, priceAdjustments, ...pricingOptions });
 
     return {
       id: `${quoteId}_v${Date.now()}`,
       quoteId,
       timestamp: new Date().toISOString(),
+      pricingVersionId,
       lineItems: JSON.parse(JSON.stringify(lineItems)), // Deep clone
+      jobBasedAddons: JSON.parse(JSON.stringify(jobBasedAddons)),
       totalParPrice: quoteCalc.totalParPrice,
       salesUplift: quoteCalc.salesUplift,
       finalPrice: quoteCalc.finalPrice,
+      fees: quoteCalc.fees,
+      taxes: quoteCalc.taxes,
+      taxTotal: quoteCalc.taxTotal,
+      grandTotal: quoteCalc.grandTotal,
+      paymentSchedule: quoteCalc.paymentSchedule,
+      totalCost: quoteCalc.totalCost,
+      grossMargin: quoteCalc.grossMargin,
+      marginPercent: quoteCalc.marginPercent,
+      commission: quoteCalc.commission,
       locked: true,
       metadata
     };
@@ -0,0 +1,100 @@
+/**
+ * QUOTE ACCEPTANCE - Framework Agnostic Core
+ * Pure functions, no UI dependencies
+ *
+ * A customer accepts a quote by signing one saved version. The signature is
+ * stored on that version with a SHA-256 hash of the version's content, so any
+ * later change to the stored version shows up as a hash mismatch:
+ *   version.acceptance = { contentHash, signedAt, signedDate, printedName, terms, signatureDataUrl, total }
+ * The quote points at the version it was signed on (quote.acceptance). Once
+ * signed, every save is a change order: a new version that records the signed
+ * version it changes and the price difference:
+ *   version.changeOrder = { number, baseVersionId, baseTotal, total, priceDifference }
+ */
+
+import { ContentHash } from './content_hash.js';
+
+// Cents of difference below which a change order is treated as no price change
+const PRICE_TOLERANCE = 0.005;
+
+export const QuoteAcceptance = {
+  /**
+   * Version the quote was signed on (null if it has not been signed)
+   */
+  getSignedVersion(quote, versions) {
+    if (!quote.acceptance) return null;
+    return versions.find(version => version.id === quote.acceptance.versionId) || null;
+  },
+
+  isSigned(quote) {
+    return Boolean(quote.acceptance);
+  },
+
+  /**
+   * Signature record for a version about to be saved
+   * @param {object} details - { printedName, signedDate (YYYY-MM-DD), terms, signatureDataUrl }
+   */
+  createAcceptance(version, { printedName, signedDate, terms, signatureDataUrl }, now = new Date()) {
+    if (!String(printedName || '').trim()) throw new Error('Enter the customer\'s printed name');
+    if (!signatureDataUrl) throw new Error('The customer has not signed');
+    return {
+      contentHash: this.hashVersion(version),
+      signedAt: now.toISOString(),
+      signedDate,
+      printedName: String(printedName).trim(),
+      terms,
+      signatureDataUrl,
+      total: this.getTotal(version)
+    };
+  },
+
+  /**
+   * What the quote keeps about its signed version
+   */
+  summarizeAcceptance(version) {
+    const { contentHash, signedAt, printedName, total } = version.acceptance;
+    return { versionId: version.id, contentHash, signedAt, printedName, total };
+  },
+
+  /**
+   * True while the signed version still has the content it was signed with
+   */
+  verify(quote, version) {
+    if (!version || !version.acceptance) return false;
+    const hash = this.hashVersion(version);
+    return hash === version.acceptance.contentHash && (!quote.acceptance || quote.acceptance.contentHash === hash);
+  },
+
+  /**
+   * Change order details for a version saved after the quote was signed
+   * @param {array} versions - the quote's versions before this one
+   */
+  buildChangeOrder(signedVersion, version, versions) {
+    const baseTotal = this.getTotal(signedVersion);
+    const total = this.getTotal(version);
+    const difference = total - baseTotal;
+    return {
+      number: versions.filter(v => v.changeOrder).length + 1,
+      baseVersionId: signedVersion.id,
+      baseTotal,
+      total,
+      priceDifference: Math.abs(difference) < PRICE_TOLERANCE ? 0 : Math.round(difference * 100) / 100
+    };
+  },
+
+  getTotal(version) {
+    return version.grandTotal ?? version.finalPrice ?? 0;
+  },
+
+  // ============================================================================
+  // CONTENT HASH
+  // ============================================================================
+
+  /**
+   * SHA-256 (hex) of everything on the version except its signature
+   */
+  hashVersion(version) {
+    const { acceptance, ...content } = version;
+    return ContentHash.sha256(ContentHash.stableStringify(content));
+  }
+};
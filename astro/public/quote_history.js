@@ -0,0 +1,174 @@
+/**
+ * QUOTE HISTORY - Framework Agnostic Core
+ * Pure functions, no UI dependencies
+ *
+ * Compares saved quote versions (see PricingEngine.createQuoteVersion).
+ * Line items are matched by id, so an item edited between saves shows as changed
+ * rather than removed and re-added.
+ */
+
+const LINE_FIELDS = [
+  { key: 'roomLabel', label: 'Room' },
+  { key: 'frameColor', label: 'Color' },
+  { key: 'mullType', label: 'Mulling' },
+  { key: 'hingeSide', label: 'Hinge side' },
+  { key: 'swingType', label: 'Swing' }
+];
+
+export const QuoteHistory = {
+  /**
+   * Job addons on a version (versions saved before they were stored keep them in metadata)
+   */
+  getJobBasedAddons(version) {
+    if (Array.isArray(version.jobBasedAddons)) return version.jobBasedAddons;
+    return (version.metadata && version.metadata.jobBasedAddons) || [];
+  },
+
+  /**
+   * Names present in one addon list but not the other
+   */
+  diffAddons(beforeAddons = [], afterAddons = []) {
+    const beforeIds = new Set(beforeAddons.map(a => a.id));
+    const afterIds = new Set(afterAddons.map(a => a.id));
+    return {
+      added: afterAddons.filter(a => !beforeIds.has(a.id)).map(a => a.name),
+      removed: beforeAddons.filter(a => !afterIds.has(a.id)).map(a => a.name)
+    };
+  },
+
+  /**
+   * Product and size of each unit in a mulled assembly (null for a single unit)
+   */
+  getAssemblyLayout(item) {
+    if (!item.assembly) return null;
+    return item.assembly.rows.map(row => row.map(unit => [unit.productId, unit.width, unit.height]));
+  },
+
+  /**
+   * Grille, glass and hardware picks as text, e.g. "Colonial Grids 3×2, Obscure Glass"
+   */
+  describeOptions(item) {
+    return (item.appliedOptions || [])
+      .map(option => option.kind === 'grille' && option.pattern === 'colonial' ? `${option.name} ${option.litesWide}×${option.litesHigh}` : option.name)
+      .join(', ');
+  },
+
+  /**
+   * Compare one line item across two versions
+   * @returns {array} Human readable changes, e.g. ['Size 36" × 60" → 40" × 60"']
+   */
+  diffLineItem(before, after) {
+    const changes = [];
+    if (before.productId !== after.productId) {
+      changes.push('Product changed');
+    }
+    if (JSON.stringify(this.getAssemblyLayout(before)) !== JSON.stringify(this.getAssemblyLayout(after))) {
+      changes.push('Assembly units changed');
+    }
+    const beforeOptions = this.describeOptions(before);
+    const afterOptions = this.describeOptions(after);
+    if (beforeOptions !== afterOptions) {
+      changes.push(`Options ${beforeOptions || 'none'} → ${afterOptions || 'none'}`);
+    }
+    if (before.width !== after.width || before.height !== after.height) {
+      changes.push(`Size ${before.width}" × ${before.height}" → ${after.width}" × ${after.height}"`);
+    }
+    LINE_FIELDS.forEach(field => {
+      const from = before[field.key] || '';
+      const to = after[field.key] || '';
+      if (from !== to) {
+        changes.push(`${field.label} ${from || 'none'} → ${to || 'none'}`);
+      }
+    });
+    return changes;
+  },
+
+  /**
+   * Diff two quote versions line by line
+   * @param {object} from - Older version
+   * @param {object} to - Newer version
+   * @returns {object} { lines: [{ id, status, before, after, changes, addonsAdded, addonsRemoved, priceDelta }],
+   *                     jobAddons: { added, removed, delta }, salesUplift, finalPrice, pricingVersionChanged }
+   */
+  diffVersions(from, to) {
+    const fromItems = from.lineItems || [];
+    const toItems = to.lineItems || [];
+    const fromById = {};
+    fromItems.forEach(item => { fromById[item.id] = item; });
+    const toIds = new Set(toItems.map(item => item.id));
+
+    const lines = [];
+    toItems.forEach(item => {
+      const before = fromById[item.id];
+      if (!before) {
+        lines.push({
+          id: item.id,
+          status: 'added',
+          before: null,
+          after: item,
+          changes: [],
+          addonsAdded: [],
+          addonsRemoved: [],
+          priceDelta: item.lineItemParTotal
+        });
+        return;
+      }
+
+      const changes = this.diffLineItem(before, item);
+      const addons = this.diffAddons(before.appliedAddons, item.appliedAddons);
+      const priceDelta = item.lineItemParTotal - before.lineItemParTotal;
+      const changed = changes.length > 0 || addons.added.length > 0 || addons.removed.length > 0 || Math.abs(priceDelta) >= 0.005;
+
+      lines.push({
+        id: item.id,
+        status: changed ? 'changed' : 'unchanged',
+        before,
+        after: item,
+        changes,
+        addonsAdded: addons.added,
+        addonsRemoved: addons.removed,
+        priceDelta
+      });
+    });
+
+    fromItems
+      .filter(item => !toIds.has(item.id))
+      .forEach(item => {
+        lines.push({
+          id: item.id,
+          status: 'removed',
+          before: item,
+          after: null,
+          changes: [],
+          addonsAdded: [],
+          addonsRemoved: [],
+          priceDelta: -item.lineItemParTotal
+        });
+      });
+
+    const fromJob = this.getJobBasedAddons(from);
+    const toJob = this.getJobBasedAddons(to);
+    const jobAddons = this.diffAddons(fromJob, toJob);
+    const jobTotal = (addons) => addons.reduce((sum, addon) => sum + (addon.price || 0), 0);
+
+    return {
+      lines,
+      jobAddons: {
+        added: jobAddons.added,
+        removed: jobAddons.removed,
+        delta: jobTotal(toJob) - jobTotal(fromJob)
+      },
+      salesUplift: {
+        before: from.salesUplift || 0,
+        after: to.salesUplift || 0,
+        delta: (to.salesUplift || 0) - (from.salesUplift || 0)
+      },
+      finalPrice: {
+        before: from.finalPrice,
+        after: to.finalPrice,
+        delta: to.finalPrice - from.finalPrice
+      },
+      pricingVersionChanged: (from.pricingVersionId || null) !== (to.pricingVersionId || null)
+    };
+  }
+};
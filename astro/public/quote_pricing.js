@@ -0,0 +1,298 @@
+/**
+ * QUOTE PRICING - Framework Agnostic Core
+ * Pure functions, no UI dependencies
+ *
+ * Re-prices saved quotes against a catalog (a published pricing version or the live data)
+ * so the rep can see what changes before accepting new prices.
+ * A catalog is { versionId, manufacturers, productLines, products, addons, colors } - see DataStorage.getPricingCatalog.
+ */
+
+import { PricingEngine } from './pricing_engine.js';
+import { RulesEngine } from './rules_engine.js';
+
+export const QuotePricing = {
+  /**
+   * Quote-level pricing options kept in global settings (promotions, floor price, taxes, fees, deposits,
+   * commission plans and minimum margin)
+   */
+  getPricingOptions(settings = {}) {
+    const floorPercent = parseFloat(settings.floorPercent);
+    const minimumMarginPercent = parseFloat(settings.minimumMarginPercent);
+    return {
+      promotions: Array.isArray(settings.promotions) ? settings.promotions : [],
+      floorPercent: isNaN(floorPercent) ? 100 : floorPercent,
+      taxRates: Array.isArray(settings.taxRates) ? settings.taxRates : [],
+      fees: Array.isArray(settings.fees) ? settings.fees : [],
+      depositSchedule: Array.isArray(settings.depositSchedule) ? settings.depositSchedule : [],
+      commissionPlans: Array.isArray(settings.commissionPlans) ? settings.commissionPlans : [],
+      minimumMarginPercent: isNaN(minimumMarginPercent) ? null : minimumMarginPercent
+    };
+  },
+
+  /**
+   * The quote's commission plan if it is still enabled, otherwise the first enabled plan
+   */
+  getCommissionPlan(plans = [], planId = null) {
+    const enabled = plans.filter(plan => plan && plan.enabled !== false);
+    return enabled.find(plan => plan.id === planId) || enabled[0] || null;
+  },
+
+  /**
+   * Discount, date, override and commission plan saved on a quote, merged with the settings options for calculateQuote
+   */
+  getQuotePricingOptions(quote, pricingOptions = {}) {
+    const { commissionPlans = [], ...options } = pricingOptions;
+    return {
+      ...options,
+      discount: quote.discount || null,
+      quoteDate: quote.quoteDate || null,
+      floorOverride: quote.floorOverride || null,
+      commissionPlan: this.getCommissionPlan(commissionPlans, quote.commissionPlanId)
+    };
+  },
+
+  /**
+   * Cost multiplier of the manufacturer behind a product (null when it has none)
+   */
+  getCostMultiplier(catalog, product) {
+    const line = (catalog.productLines || {})[product.productLineId];
+    const manufacturer = line ? (catalog.manufacturers || {})[line.manufacturerId] : null;
+    const multiplier = manufacturer ? parseFloat(manufacturer.costMultiplier) : NaN;
+    return isNaN(multiplier) ? null : multiplier;
+  },
+
+  /**
+   * Addons the rep picked for a line item. Items saved before this was recorded only
+   * carry the applied addons, which is the closest thing we have.
+   */
+  getSelectedAddonIds(item) {
+    if (Array.isArray(item.selectedAddonIds)) return item.selectedAddonIds;
+    return (item.appliedAddons || []).map(addon => addon.id);
+  },
+
+  /**
+   * Price one line item against a catalog, re-running line rules
+   * @returns {object} { item, error } - item keeps its original price when it cannot be repriced
+   */
+  priceLineItem({ item, catalog, rules = [], houseAge = null, describe }) {
+    if (item.assembly) {
+      return this.priceAssemblyItem({ item, catalog, rules, houseAge, describe });
+    }
+
+    const product = catalog.products[item.productId];
+    if (!product) {
+      return { item, error: 'Product is not in this catalog' };
+    }
+
+    try {
+      const selectedAddonIds = this.getSelectedAddonIds(item);
+      const ruleResult = RulesEngine.applyRules({
+        rules,
+        appliesTo: 'line',
+        context: RulesEngine.buildLineContext({
+          product,
+          width: item.width,
+          height: item.height,
+          houseAge,
+          selectedAddonIds
+        }),
+        selectedAddonIds,
+        allAddons: catalog.addons,
+        describe
+      });
+
+      const lineItemCalc = PricingEngine.calculateLineItem({
+        product,
+        width: item.width,
+        height: item.height,
+        selectedAddonIds: ruleResult.selectedAddonIds,
+        allAddons: catalog.addons,
+        excludedAddonIds: [...ruleResult.blockedAddonIds, ...ruleResult.removedAddonIds],
+        priceAdjustments: ruleResult.priceAdjustments,
+        selectedOptions: item.selectedOptions || {},
+        frameColor: (catalog.colors || {})[item.frameColor] || null,
+        costMultiplier: this.getCostMultiplier(catalog, product)
+      });
+
+      return {
+        item: {
+          ...item,
+          selectedAddonIds,
+          ruleTrace: ruleResult.firedRules,
+          ruleWarnings: ruleResult.warnings,
+          ...lineItemCalc
+        },
+        error: null
+      };
+    } catch (error) {
+      return { item, error: error.message };
+    }
+  },
+
+  /**
+   * Price each unit of a mulled assembly (line rules run per unit) and the assembly as a whole.
+   * Every unit takes the assembly's frame colour.
+   * @param {array} rows - [[{ id, productId, width, height, selectedAddonIds }]]
+   * @returns {object} { rows, errors, ruleTrace, ruleWarnings, ...PricingEngine.calculateAssembly }
+   */
+  priceAssembly({ rows, mullChargePerJoint = 0, frameColor = null, catalog, rules = [], houseAge = null, describe }) {
+    const errors = [];
+    const pricedRows = rows.map((row, rowIndex) => row.map((unit, unitIndex) => {
+      const result = this.priceLineItem({ item: { ...unit, frameColor }, catalog, rules, houseAge, describe });
+      if (result.error) errors.push(`Row ${rowIndex + 1}, unit ${unitIndex + 1}: ${result.error}`);
+      return result.item;
+    }));
+    const units = pricedRows.flat();
+
+    return {
+      rows: pricedRows,
+      errors,
+      ruleTrace: units.flatMap(unit => unit.ruleTrace || []),
+      ruleWarnings: units.flatMap(unit => unit.ruleWarnings || []),
+      ...PricingEngine.calculateAssembly({ rows: pricedRows, mullChargePerJoint })
+    };
+  },
+
+  /**
+   * Reprice a saved assembly line item, keeping the mulling charge it was quoted with
+   */
+  priceAssemblyItem({ item, catalog, rules, houseAge, describe }) {
+    try {
+      const { rows, errors, joints, mullCharge, width, height, ...calc } = this.priceAssembly({
+        rows: item.assembly.rows,
+        mullChargePerJoint: item.assembly.mullChargePerJoint,
+        frameColor: item.frameColor,
+        catalog,
+        rules,
+        houseAge,
+        describe
+      });
+      if (errors.length > 0) {
+        return { item, error: errors.join('; ') };
+      }
+      return {
+        item: { ...item, ...calc, assembly: { ...item.assembly, rows, joints, mullCharge } },
+        error: null
+      };
+    } catch (error) {
+      return { item, error: error.message };
+    }
+  },
+
+  /**
+   * Totals of a quote as the sales page works them out: its line items as priced, the job
+   * addons the rep picked and the quote's own adjustments, discount and override (no repricing)
+   * @param {object} addons - Addons of the catalog the quote is pinned to
+   * @param {object} pricingOptions - Settings-level pricing options (see getPricingOptions)
+   */
+  calculateSavedQuote({ quote, addons = {}, pricingOptions = {} }) {
+    const lineItems = quote.lineItems || [];
+    return PricingEngine.calculateQuote({
+      lineItems,
+      jobBasedAddons: PricingEngine.calculateJobAddons({ selectedJobAddonIds: quote.selectedJobAddonIds || [], lineItems, allAddons: addons }),
+      salesUplift: quote.salesUplift || 0,
+      priceAdjustments: quote.jobPriceAdjustments || {},
+      ...this.getQuotePricingOptions(quote, pricingOptions)
+    });
+  },
+
+  /**
+   * Price a whole quote against a catalog
+   * @param {object} quote - Saved quote ({ lineItems, selectedJobAddonIds, salesUplift, houseAge, discount })
+   * @param {object} pricingOptions - Settings-level pricing options (see getPricingOptions)
+   * @returns {object} { lineItems, lineErrors, selectedJobAddonIds, jobRuleResult, jobBasedAddons, quoteCalc }
+   */
+  priceQuote({ quote, catalog, rules = [], describe, pricingOptions = {} }) {
+    const houseAge = quote.houseAge === null || quote.houseAge === undefined || isNaN(quote.houseAge)
+      ? null
+      : quote.houseAge;
+
+    const lineErrors = {};
+    const lineItems = (quote.lineItems || []).map(item => {
+      const result = this.priceLineItem({ item, catalog, rules, houseAge, describe });
+      if (result.error) lineErrors[item.id] = result.error;
+      return result.item;
+    });
+
+    // Job addons: keep the rep's picks that still exist, plus this catalog's mandatory ones
+    const mandatoryJobAddonIds = Object.entries(catalog.addons)
+      .filter(([, addon]) => addon.isJobBased && addon.mandatory && !addon.archived)
+      .map(([id]) => id);
+    const baseSelected = [...new Set([...(quote.selectedJobAddonIds || []), ...mandatoryJobAddonIds])]
+      .filter(id => catalog.addons[id]);
+
+    const jobRuleResult = RulesEngine.applyRules({
+      rules,
+      appliesTo: 'job',
+      context: { houseAge, selectedAddonIds: baseSelected },
+      selectedAddonIds: baseSelected,
+      allAddons: catalog.addons,
+      describe
+    });
+
+    const jobBasedAddons = PricingEngine.calculateJobAddons({
+      selectedJobAddonIds: jobRuleResult.selectedAddonIds,
+      lineItems,
+      allAddons: catalog.addons
+    });
+
+    const quoteCalc = PricingEngine.calculateQuote({
+      lineItems,
+      jobBasedAddons,
+      salesUplift: quote.salesUplift || 0,
+      priceAdjustments: jobRuleResult.priceAdjustments,
+      ...this.getQuotePricingOptions(quote, pricingOptions)
+    });
+
+    return {
+      lineItems,
+      lineErrors,
+      selectedJobAddonIds: jobRuleResult.selectedAddonIds,
+      jobRuleResult,
+      jobBasedAddons,
+      quoteCalc
+    };
+  },
+
+  /**
+   * Compare two pricings of the same quote, line by line
+   * @param {object} before - { lineItems, quoteCalc }
+   * @param {object} after - { lineItems, quoteCalc, lineErrors }
+   * @returns {object} { lines: [{ id, roomLabel, productId, before, after, delta, error }], jobAddons, discounts, total }
+   */
+  compareQuotes(before, after) {
+    const afterById = {};
+    after.lineItems.forEach(item => { afterById[item.id] = item; });
+
+    const lines = before.lineItems.map(item => {
+      const repriced = afterById[item.id];
+      const beforePrice = item.lineItemParTotal;
+      const afterPrice = repriced ? repriced.lineItemParTotal : beforePrice;
+      return {
+        id: item.id,
+        roomLabel: item.roomLabel,
+        productId: item.productId,
+        before: beforePrice,
+        after: afterPrice,
+        delta: afterPrice - beforePrice,
+        error: (after.lineErrors || {})[item.id] || null
+      };
+    });
+
+    const jobBefore = before.quoteCalc.jobAddonTotal + before.quoteCalc.jobRuleAdjustment;
+    const jobAfter = after.quoteCalc.jobAddonTotal + after.quoteCalc.jobRuleAdjustment;
+    const discountBefore = before.quoteCalc.discountTotal || 0;
+    const discountAfter = after.quoteCalc.discountTotal || 0;
+
+    return {
+      lines,
+      jobAddons: { before: jobBefore, after: jobAfter, delta: jobAfter - jobBefore },
+      discounts: { before: discountBefore, after: discountAfter, delta: discountAfter - discountBefore },
+      total: {
+        before: before.quoteCalc.finalPrice,
+        after: after.quoteCalc.finalPrice,
+        delta: after.quoteCalc.finalPrice - before.quoteCalc.finalPrice
+      }
+    };
+  }
+};
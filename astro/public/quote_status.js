@@ -0,0 +1,205 @@
+/**
+ * QUOTE STATUS - Framework Agnostic Core
+ * Pure functions, no UI dependencies
+ *
+ * Where a saved quote stands in the sales pipeline, plus the search, filters and
+ * expiry checks behind the quotes dashboard. The quote record keeps its current
+ * `status` and a dated `statusHistory`; each entry names the quote version that
+ * was current when the status changed:
+ *   { status, at (ISO), reason (lost only), note, versionId }
+ */
+
+import { DateUtils } from './date_utils.js';
+
+export const QUOTE_STATUSES = [
+  { value: 'draft', label: 'Draft', color: '#f0f0f0', textColor: '#3f3f46', open: true },
+  { value: 'presented', label: 'Presented', color: '#dbeafe', textColor: '#1d4ed8', open: true },
+  { value: 'follow_up', label: 'Follow-up', color: '#fef3c7', textColor: '#b45309', open: true },
+  { value: 'signed', label: 'Signed', color: '#dcfce7', textColor: '#15803d', open: false },
+  { value: 'lost', label: 'Lost', color: '#fee2e2', textColor: '#b91c1c', open: false, needsReason: true },
+  { value: 'expired', label: 'Expired', color: '#e4e4e7', textColor: '#52525b', open: false }
+];
+
+export const DEFAULT_QUOTE_VALIDITY_DAYS = 30;
+
+// Days left at or below which an open quote is flagged as expiring soon
+const EXPIRING_SOON_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const QuoteStatus = {
+  getDefinition(status) {
+    return QUOTE_STATUSES.find(def => def.value === status) || QUOTE_STATUSES[0];
+  },
+
+  /**
+   * Current status; quotes saved before statuses existed are drafts
+   */
+  getStatus(quote) {
+    return quote.status || 'draft';
+  },
+
+  /**
+   * The quote with its status changed and the change added to its history (the quote is not modified)
+   * @param {object} change - { reason, note, versionId, at }
+   * @throws {Error} for an unknown status or a lost quote without a reason
+   */
+  changeStatus(quote, status, { reason = '', note = '', versionId = null, at = new Date() } = {}) {
+    const def = QUOTE_STATUSES.find(candidate => candidate.value === status);
+    if (!def) throw new Error(`Unknown quote status "${status}"`);
+    const trimmedReason = String(reason || '').trim();
+    if (def.needsReason && !trimmedReason) throw new Error(`Enter why the quote was ${def.label.toLowerCase()}`);
+
+    const entry = {
+      status,
+      at: new Date(at).toISOString(),
+      reason: def.needsReason ? trimmedReason : '',
+      note: String(note || '').trim(),
+      versionId
+    };
+    return { ...quote, status, statusHistory: [...(quote.statusHistory || []), entry] };
+  },
+
+  /**
+   * When the quote entered its current status (null for quotes saved before statuses existed)
+   */
+  getStatusSince(quote) {
+    const history = quote.statusHistory || [];
+    return history.length > 0 ? history[history.length - 1].at : null;
+  },
+
+  /**
+   * Why a lost quote was lost
+   */
+  getLostReason(quote) {
+    if (this.getStatus(quote) !== 'lost') return '';
+    const history = quote.statusHistory || [];
+    return history.length > 0 ? history[history.length - 1].reason || '' : '';
+  },
+
+  /**
+   * When a quote's prices run out: its quote date (or first save) plus the validity window.
+   * Only open quotes (draft, presented, follow-up) expire.
+   * @returns {object|null} { expiresOn (ISO date), daysLeft, expired, expiringSoon }
+   */
+  getExpiry(quote, { versions = [], validityDays = DEFAULT_QUOTE_VALIDITY_DAYS, now = new Date() } = {}) {
+    if (!this.getDefinition(this.getStatus(quote)).open || !(validityDays > 0)) return null;
+    const start = this.getQuoteDate(quote, versions);
+    if (!start) return null;
+
+    const expiresOn = new Date(start.getFullYear(), start.getMonth(), start.getDate() + validityDays);
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const daysLeft = Math.round((expiresOn - today) / DAY_MS);
+    return {
+      expiresOn: DateUtils.toDateString(expiresOn),
+      daysLeft,
+      expired: daysLeft < 0,
+      expiringSoon: daysLeft >= 0 && daysLeft <= EXPIRING_SOON_DAYS
+    };
+  },
+
+  /**
+   * The date on the quote, or the day it was first saved (local midnight)
+   */
+  getQuoteDate(quote, versions = []) {
+    const text = quote.quoteDate || (versions[0] && versions[0].timestamp) || null;
+    if (!text) return null;
+    const [year, month, day] = text.split('T')[0].split('-').map(Number);
+    return year ? new Date(year, month - 1, day) : null;
+  },
+
+  // ============================================================================
+  // DASHBOARD
+  // ============================================================================
+
+  /**
+   * One dashboard row per quote
+   * @param {array} quotes - saved quotes
+   * @param {object} quoteVersions - quoteId -> [version]
+   * @returns {array} [{ quote, status, price, quoteDate, lastSaved, versionCount, expiry, searchText }]
+   */
+  buildRows(quotes, quoteVersions = {}, { validityDays = DEFAULT_QUOTE_VALIDITY_DAYS, now = new Date() } = {}) {
+    return quotes.map(quote => {
+      const versions = quoteVersions[quote.id] || [];
+      const latest = versions[versions.length - 1];
+      const quoteDate = this.getQuoteDate(quote, versions);
+      return {
+        quote,
+        status: this.getStatus(quote),
+        price: latest ? (latest.grandTotal ?? latest.finalPrice ?? 0) : null,
+        quoteDate: quoteDate ? DateUtils.toDateString(quoteDate) : '',
+        lastSaved: latest ? latest.timestamp : null,
+        versionCount: versions.length,
+        expiry: this.getExpiry(quote, { versions, validityDays, now }),
+        searchText: this.buildSearchText(quote)
+      };
+    });
+  },
+
+  /**
+   * Lower-case text searched by the dashboard: customer, address, phone, email, room labels and notes.
+   * Phone numbers are also indexed as bare digits so "5551234" finds "(555) 123-4".
+   */
+  buildSearchText(quote) {
+    const rooms = (quote.lineItems || []).map(item => item.roomLabel || '');
+    const phoneDigits = String(quote.phone || '').replace(/\D/g, '');
+    return [
+      quote.id, quote.customerName, quote.spouseName, quote.address, quote.phone, phoneDigits,
+      quote.email, quote.jobNotes, ...rooms
+    ].filter(Boolean).join(' \n ').toLowerCase();
+  },
+
+  /**
+   * @param {object} filters - { text, statuses: [status], from, to (YYYY-MM-DD, quote date), minPrice, maxPrice }
+   *   Every word of the text must appear somewhere in the quote; digits-only words also match phone digits.
+   */
+  filterRows(rows, { text = '', statuses = [], from = '', to = '', minPrice = null, maxPrice = null } = {}) {
+    const words = String(text).toLowerCase().split(/\s+/).filter(Boolean);
+    return rows.filter(row => {
+      if (words.some(word => !row.searchText.includes(word))) return false;
+      if (statuses.length > 0 && !statuses.includes(row.status)) return false;
+      if (from && (!row.quoteDate || row.quoteDate < from)) return false;
+      if (to && (!row.quoteDate || row.quoteDate > to)) return false;
+      if (minPrice !== null && (row.price === null || row.price < minPrice)) return false;
+      if (maxPrice !== null && (row.price === null || row.price > maxPrice)) return false;
+      return true;
+    });
+  },
+
+  /**
+   * @param {string} sortBy - 'lastSaved' | 'quoteDate' | 'price' | 'customer' | 'status' | 'expiry'
+   * @param {string} direction - 'asc' | 'desc'
+   */
+  sortRows(rows, sortBy = 'lastSaved', direction = 'desc') {
+    const statusOrder = (row) => QUOTE_STATUSES.findIndex(def => def.value === row.status);
+    const value = {
+      lastSaved: row => row.lastSaved || '',
+      quoteDate: row => row.quoteDate || '',
+      price: row => row.price ?? -Infinity,
+      customer: row => (row.quote.customerName || '').toLowerCase(),
+      status: statusOrder,
+      expiry: row => row.expiry ? row.expiry.daysLeft : Infinity
+    }[sortBy] || (row => row.lastSaved || '');
+    const sign = direction === 'asc' ? 1 : -1;
+    return rows.slice().sort((a, b) => {
+      const left = value(a);
+      const right = value(b);
+      return left < right ? -sign : left > right ? sign : 0;
+    });
+  },
+
+  /**
+   * Quote count and total price per status
+   * @returns {object} status -> { count, total }
+   */
+  summarize(rows) {
+    const summary = {};
+    QUOTE_STATUSES.forEach(def => { summary[def.value] = { count: 0, total: 0 }; });
+    rows.forEach(row => {
+      const entry = summary[row.status] || (summary[row.status] = { count: 0, total: 0 });
+      entry.count++;
+      entry.total += row.price || 0;
+    });
+    return summary;
+  }
+};
@@ -0,0 +1,351 @@
+/**
+ * RULES ENGINE - Framework Agnostic Core
+ * Pure functions, no UI dependencies
+ *
+ * Rule shape:
+ * {
+ *   id, name, enabled,
+ *   appliesTo: 'line' | 'job',
+ *   priority: number (higher runs first),
+ *   stopProcessing: boolean (skip lower-priority rules once this one fires),
+ *   conditions: [condition | group]   (top level is an AND group)
+ *   actions: [{ type, ... }]          (see ACTION_TYPES)
+ * }
+ * A group is { type: 'group', operator: 'AND' | 'OR' | 'NOT', conditions: [...] }.
+ * NOT matches when its children do not all match.
+ */
+
+export const ACTION_TYPES = ['addAddon', 'removeAddon', 'blockAddon', 'minimumPrice', 'surchargePercent', 'warning'];
+
+export const GROUP_OPERATORS = ['AND', 'OR', 'NOT'];
+
+export const RulesEngine = {
+  /**
+   * Normalize rule scope. Older admin builds saved 'lineItem' for line rules.
+   */
+  normalizeAppliesTo(appliesTo) {
+    return appliesTo === 'lineItem' || !appliesTo ? 'line' : appliesTo;
+  },
+
+  /**
+   * Normalize a stored rule into the current shape (legacy rules only carry `addonId`)
+   */
+  normalizeRule(rule) {
+    const actions = Array.isArray(rule.actions)
+      ? rule.actions
+      : (rule.addonId ? [{ type: 'addAddon', addonId: rule.addonId }] : []);
+    const priority = parseFloat(rule.priority);
+
+    return {
+      ...rule,
+      appliesTo: this.normalizeAppliesTo(rule.appliesTo),
+      priority: isNaN(priority) ? 0 : priority,
+      stopProcessing: Boolean(rule.stopProcessing),
+      conditions: Array.isArray(rule.conditions) ? rule.conditions : [],
+      actions
+    };
+  },
+
+  /**
+   * Get enabled rules for a scope, ordered by priority (highest first, ties keep saved order)
+   * @param {array} rules - Rules from global settings
+   * @param {string} appliesTo - 'line' or 'job'
+   */
+  getActiveRules(rules = [], appliesTo) {
+    const scope = this.normalizeAppliesTo(appliesTo);
+    return rules
+      .filter(rule => rule && rule.enabled !== false)
+      .map(rule => this.normalizeRule(rule))
+      .filter(rule => rule.appliesTo === scope && rule.actions.length > 0)
+      .map((rule, index) => ({ rule, index }))
+      .sort((a, b) => (b.rule.priority - a.rule.priority) || (a.index - b.index))
+      .map(entry => entry.rule);
+  },
+
+  /**
+   * Compare a numeric context value against a target
+   * @param {number} value - Value taken from the evaluation context
+   * @param {string} operator - One of >, >=, <, <=, ==, !=
+   * @param {number} target - Value configured on the condition
+   * @returns {boolean} True if the comparison holds
+   */
+  compareNumeric(value, operator, target) {
+    if (value === null || value === undefined || isNaN(value) || isNaN(target)) return false;
+    switch (operator) {
+      case '>': return value > target;
+      case '>=': return value >= target;
+      case '<': return value < target;
+      case '<=': return value <= target;
+      case '==': return value === target;
+      case '!=': return value !== target;
+      default: return false;
+    }
+  },
+
+  /**
+   * Evaluate a single condition against a context
+   * @param {object} condition - { type, operator, value }
+   * @param {object} context - { houseAge, ui, area, productId, productLineId, selectedAddonIds }
+   * @returns {boolean} True if the condition matches
+   */
+  evaluateCondition(condition, context) {
+    const type = condition.type;
+    if (type === 'houseAge') {
+      return this.compareNumeric(context.houseAge, condition.operator, parseFloat(condition.value));
+    }
+    if (type === 'ui') {
+      return this.compareNumeric(context.ui, condition.operator, parseFloat(condition.value));
+    }
+    if (type === 'area') {
+      return this.compareNumeric(context.area, condition.operator, parseFloat(condition.value));
+    }
+    if (type === 'productLine') {
+      return Boolean(condition.value) && context.productLineId === condition.value;
+    }
+    if (type === 'product') {
+      return Boolean(condition.value) && context.productId === condition.value;
+    }
+    if (type === 'addonSelected') {
+      return Boolean(condition.value) && (context.selectedAddonIds || []).includes(condition.value);
+    }
+    return false;
+  },
+
+  /**
+   * Evaluate a condition or group and keep the result of every node
+   * @returns {object} { node, skipped, matched, children? }
+   */
+  explainNode(node, context) {
+    if (!node || node.enabled === false) {
+      return { node, skipped: true, matched: false };
+    }
+
+    if (node.type !== 'group') {
+      return { node, skipped: false, matched: this.evaluateCondition(node, context) };
+    }
+
+    const children = (Array.isArray(node.conditions) ? node.conditions : [])
+      .map(child => this.explainNode(child, context));
+    const active = children.filter(child => !child.skipped);
+    // Empty groups take no part in evaluation
+    if (active.length === 0) {
+      return { node, skipped: true, matched: false, children };
+    }
+
+    let matched;
+    if (node.operator === 'OR') {
+      matched = active.some(child => child.matched);
+    } else if (node.operator === 'NOT') {
+      matched = !active.every(child => child.matched);
+    } else {
+      matched = active.every(child => child.matched);
+    }
+
+    return { node, skipped: false, matched, children };
+  },
+
+  /**
+   * Evaluate a rule's conditions and report the outcome of each node (used by the rule tester)
+   * @returns {object} { matched, trace } - trace is the explained top-level AND group
+   */
+  explainRule(rule, context) {
+    const root = { type: 'group', operator: 'AND', conditions: rule && Array.isArray(rule.conditions) ? rule.conditions : [] };
+    const trace = this.explainNode(root, context);
+    return {
+      matched: !trace.skipped && trace.matched,
+      trace
+    };
+  },
+
+  /**
+   * Evaluate a rule - all enabled top-level conditions/groups must match
+   * @returns {boolean} False when the rule has no enabled conditions
+   */
+  evaluateRule(rule, context) {
+    return this.explainRule(rule, context).matched;
+  },
+
+  /**
+   * Describe why a trace matched, e.g. "House Age at least 40 AND (Product is X OR Product is Y)"
+   * @param {object} trace - Result of explainNode
+   * @param {function} describe - Turns a single condition into text
+   */
+  describeTrace(trace, describe = (c) => `${c.type} ${c.operator} ${c.value}`) {
+    if (!trace || trace.skipped) return '';
+    if (!trace.children) return describe(trace.node);
+
+    const operator = trace.node.operator || 'AND';
+    const active = trace.children.filter(child => !child.skipped);
+    // For a matched OR only the branches that held explain the result
+    const shown = operator === 'OR' && trace.matched ? active.filter(child => child.matched) : active;
+    const parts = shown.map(child => {
+      const text = this.describeTrace(child, describe);
+      return child.children && child.node.operator !== 'NOT' && shown.length > 1 ? `(${text})` : text;
+    });
+
+    if (operator === 'NOT') {
+      return `NOT (${parts.join(' AND ')})`;
+    }
+    return parts.join(` ${operator} `);
+  },
+
+  /**
+   * Run rules for a scope and collect the effect of their actions
+   * Rules are re-run until the addon selection settles, since addonSelected conditions
+   * depend on what other rules added or removed. Every pass starts from the rep's selection, so
+   * an addon added for a condition that a later removal undid drops off again, and the result
+   * and firedRules describe the final pass. When one rule adds an addon and another removes or
+   * blocks it, the removal wins and the pair is reported in `conflicts` (and as a warning), so
+   * the two rules cannot keep undoing each other.
+   *
+   * @param {object} params
+   * @param {array} params.rules - Rules from global settings
+   * @param {string} params.appliesTo - 'line' or 'job'
+   * @param {object} params.context - Evaluation context (see evaluateCondition)
+   * @param {array} params.selectedAddonIds - Addons chosen by the rep (and mandatory ones)
+   * @param {object} params.allAddons - All available addons
+   * @param {function} params.describe - Optional condition describer for fired-rule reasons
+   * @returns {object} { selectedAddonIds, ruleAppliedIds, removedAddonIds, blockedAddonIds,
+   *                     priceAdjustments: { surchargePercent, minimumPrice }, warnings, firedRules,
+   *                     conflicts: [{ addonId, addedBy: { ruleId, name }, removedBy: { ruleId, name } }] }
+   */
+  applyRules({ rules = [], appliesTo, context = {}, selectedAddonIds = [], allAddons = {}, describe }) {
+    const scope = this.normalizeAppliesTo(appliesTo);
+    const activeRules = this.getActiveRules(rules, scope);
+    const ruleRef = (rule) => ({ ruleId: rule.id, name: rule.name });
+
+    const addonInScope = (addonId) => {
+      const addon = allAddons[addonId];
+      if (!addon) return false;
+      return scope === 'job' ? Boolean(addon.isJobBased) : !addon.isJobBased;
+    };
+
+    // Each pass starts again from the rep's selection, with conditions seeing where the last
+    // pass ended, so an addon stays added only while the rule that added it still fires
+    let settled = new Set(selectedAddonIds);
+    let lastRemovers = new Map();
+    let lastSignature = null;
+    let result = null;
+    for (let pass = 0; pass < 10; pass++) {
+      const selected = new Set(selectedAddonIds);
+      const seen = new Set(settled);
+      const added = new Set();
+      const removed = new Set();
+      const blocked = new Set();
+      // Which rule added each addon, and which matched rules remove or block it
+      const addedBy = new Map();
+      const removers = new Map();
+      const conflicts = new Map();
+      const recordConflict = (addonId, adder, remover) => {
+        if (!conflicts.has(addonId)) conflicts.set(addonId, { addonId, addedBy: adder, removedBy: remover });
+      };
+      const outcome = { surchargePercent: 0, minimumPrice: null, warnings: [], firedRules: [] };
+
+      for (const rule of activeRules) {
+        const { matched, trace } = this.explainRule(rule, { ...context, selectedAddonIds: Array.from(seen) });
+        if (!matched) continue;
+
+        const applied = [];
+        for (const action of rule.actions) {
+          if (!action) continue;
+          if (action.type === 'addAddon') {
+            if (!addonInScope(action.addonId) || blocked.has(action.addonId) || allAddons[action.addonId].archived) continue;
+            // A removal from this pass or the last one wins over the addition
+            const remover = removers.get(action.addonId) || lastRemovers.get(action.addonId);
+            if (remover) {
+              recordConflict(action.addonId, ruleRef(rule), remover);
+              continue;
+            }
+            if (!selected.has(action.addonId)) {
+              selected.add(action.addonId);
+              seen.add(action.addonId);
+              added.add(action.addonId);
+              addedBy.set(action.addonId, ruleRef(rule));
+              removed.delete(action.addonId);
+            }
+          } else if (action.type === 'removeAddon' || action.type === 'blockAddon') {
+            if (!action.addonId) continue;
+            if (action.type === 'blockAddon') blocked.add(action.addonId);
+            if (!removers.has(action.addonId)) removers.set(action.addonId, ruleRef(rule));
+            seen.delete(action.addonId);
+            if (selected.has(action.addonId)) {
+              if (added.has(action.addonId)) recordConflict(action.addonId, addedBy.get(action.addonId), ruleRef(rule));
+              selected.delete(action.addonId);
+              added.delete(action.addonId);
+              removed.add(action.addonId);
+            }
+          } else if (action.type === 'minimumPrice') {
+            const amount = parseFloat(action.amount);
+            if (isNaN(amount)) continue;
+            outcome.minimumPrice = outcome.minimumPrice === null ? amount : Math.max(outcome.minimumPrice, amount);
+          } else if (action.type === 'surchargePercent') {
+            const percent = parseFloat(action.percent);
+            if (isNaN(percent)) continue;
+            outcome.surchargePercent += percent;
+          } else if (action.type === 'warning') {
+            if (!action.message) continue;
+            outcome.warnings.push({ ruleId: rule.id, ruleName: rule.name, message: action.message });
+          } else {
+            continue;
+          }
+          applied.push({ ...action });
+        }
+
+        outcome.firedRules.push({
+          ruleId: rule.id,
+          name: rule.name,
+          priority: rule.priority,
+          reason: this.describeTrace(trace, describe),
+          actions: applied
+        });
+
+        if (rule.stopProcessing) break;
+      }
+
+      result = { selected, added, removed, blocked, conflicts, outcome };
+      const signature = JSON.stringify([Array.from(selected).sort(), Array.from(removers.keys()).sort()]);
+      if (signature === lastSignature) break;
+      lastSignature = signature;
+      settled = selected;
+      lastRemovers = removers;
+    }
+
+    const { selected, added, removed, blocked, conflicts, outcome } = result;
+    conflicts.forEach(conflict => {
+      const addonName = allAddons[conflict.addonId] ? allAddons[conflict.addonId].name : conflict.addonId;
+      outcome.warnings.push({
+        ruleId: conflict.removedBy.ruleId,
+        ruleName: conflict.removedBy.name,
+        message: `Rules "${conflict.addedBy.name}" and "${conflict.removedBy.name}" conflict over ${addonName}; it was left off`
+      });
+    });
+
+    return {
+      selectedAddonIds: Array.from(selected),
+      ruleAppliedIds: Array.from(added),
+      removedAddonIds: Array.from(removed),
+      blockedAddonIds: Array.from(blocked),
+      priceAdjustments: {
+        surchargePercent: outcome.surchargePercent,
+        minimumPrice: outcome.minimumPrice
+      },
+      warnings: outcome.warnings,
+      firedRules: outcome.firedRules,
+      conflicts: Array.from(conflicts.values())
+    };
+  },
+
+  /**
+   * Build the evaluation context for a line item
+   */
+  buildLineContext({ product, width, height, houseAge = null, selectedAddonIds = [] }) {
+    return {
+      houseAge,
+      ui: Math.ceil(width + height),
+      area: width > 0 && height > 0 ? (width * height) / 144 : 0,
+      productId: product ? product.id : null,
+      productLineId: product ? product.productLineId : null,
+      selectedAddonIds
+    };
+  }
+};
@@ -1,11 +1,23 @@
 // /shared/admin_schemas.js
 // Field schemas for all admin data types - single source of truth
 
+import { VISUALIZER_TYPES, SHAPE_MODIFIERS } from './visualizer_types.js';
+import { buildPricingEditorHtml } from './pricing_models.js';
+import { buildCostEditorHtml } from './cost_models.js';
+
 export const FIELD_SCHEMAS = {
   mfg: {
     title: 'Edit Manufacturer',
     fields: [
-      { label: 'Name', key: 'name', type: 'text', id: 'edit-mfg-name' }
+      { label: 'Name', key: 'name', type: 'text', id: 'edit-mfg-name' },
+      {
+        label: 'Cost Multiplier (dealer cost × par price, blank = unknown)',
+        key: 'costMultiplier',
+        type: 'number',
+        id: 'edit-mfg-cost-multiplier',
+        step: '0.001',
+        placeholder: 'e.g., 0.55'
+      }
     ]
   },
   
@@ -33,27 +45,18 @@ export const FIELD_SCHEMAS = {
       },
       { label: 'Name', key: 'name', type: 'text', id: 'edit-prod-name' },
       { label: 'Product Type Code', key: 'productTypeCode', type: 'text', id: 'edit-prod-code' },
+      { type: 'pricingEditor', prefix: 'edit-prod' },
+      { type: 'costEditor', prefix: 'edit-prod' },
+      { label: 'Minimum UI', key: 'minimumUI', type: 'number', id: 'edit-prod-min-ui' },
+      { label: 'Maximum UI (leave blank for unlimited)', key: 'maximumUI', type: 'number', id: 'edit-prod-max-ui' },
       {
-        label: 'Pricing Model',
-        key: 'pricingModel',
+        label: 'Visualizer Drawing',
+        key: 'visualizerType',
         type: 'select',
-        id: 'edit-prod-model',
-        onChange: 'window.toggleEditPricingFields()',
-        options: [
-          { value: 'UI', label: 'UI Based' },
-          { value: 'FLAT', label: 'Flat Price' }
-        ]
-      },
-      {
-        type: 'pricingGroup',
-        modelKey: 'pricingModel',
-        uiGroupId: 'edit-prod-rate-group',
-        flatGroupId: 'edit-prod-price-group',
-        uiField: { label: 'UI Rate ($/UI)', key: 'uiRate', type: 'number', id: 'edit-prod-ui-rate', step: '0.01' },
-        flatField: { label: 'Flat Price', key: 'flatPrice', type: 'number', id: 'edit-prod-flat-price', step: '0.01' }
-      },
-      { label: 'Minimum UI', key: 'minimumUI', type: 'number', id: 'edit-prod-min-ui' },
-      { label: 'Maximum UI (leave blank for unlimited)', key: 'maximumUI', type: 'number', id: 'edit-prod-max-ui' }
+        id: 'edit-prod-viz-type',
+        options: VISUALIZER_TYPES,
+        formatter: (value) => value || ''
+      }
     ]
   },
   
@@ -61,29 +64,21 @@ export const FIELD_SCHEMAS = {
     title: 'Edit Addon',
     fields: [
       { label: 'Name', key: 'name', type: 'text', id: 'edit-addon-name' },
+      { type: 'pricingEditor', prefix: 'edit-addon' },
+      { type: 'costEditor', prefix: 'edit-addon' },
+      { label: 'Exclusive Group (optional)', key: 'exclusiveGroup', type: 'text', id: 'edit-addon-exclusive' },
       {
-        label: 'Pricing Model',
-        key: 'pricingModel',
+        label: 'Visualizer Shape',
+        key: 'shapeModifier',
         type: 'select',
-        id: 'edit-addon-model',
-        onChange: 'window.toggleEditAddonPricingFields()',
-        options: [
-          { value: 'UI', label: 'UI Based' },
-          { value: 'FLAT', label: 'Flat Price' }
-        ]
-      },
-      {
-        type: 'pricingGroup',
-        modelKey: 'pricingModel',
-        uiGroupId: 'edit-addon-rate-group',
-        flatGroupId: 'edit-addon-price-group',
-        uiField: { label: 'UI Rate ($/UI)', key: 'uiRate', type: 'number', id: 'edit-addon-ui-rate', step: '0.01' },
-        flatField: { label: 'Flat Price', key: 'flatPrice', type: 'number', id: 'edit-addon-flat-price', step: '0.01' }
+        id: 'edit-addon-shape',
+        options: SHAPE_MODIFIERS,
+        formatter: (value) => value || ''
       },
-      { label: 'Exclusive Group (optional)', key: 'exclusiveGroup', type: 'text', id: 'edit-addon-exclusive' },
       { label: 'Mandatory', key: 'mandatory', type: 'checkbox', id: 'edit-addon-mandatory' },
       { label: 'Hidden from Customer', key: 'hiddenFromCustomer', type: 'checkbox', id: 'edit-addon-hidden' },
       { label: 'Job Based (Global)', key: 'isJobBased', type: 'checkbox', id: 'edit-addon-job-based' },
+      { label: 'Non-Taxable (labor / service)', key: 'nonTaxable', type: 'checkbox', id: 'edit-addon-non-taxable' },
       { type: 'section', label: 'Restrictions (Optional)' },
       {
         type: 'group',
@@ -187,22 +182,12 @@ export function buildFieldHtml(field, item, context = {}) {
     `;
   }
 
-  if (field.type === 'pricingGroup') {
-    const modelValue = resolveFieldValue({ key: field.modelKey }, item, context) || 'UI';
-    const uiDisplay = modelValue === 'UI' ? '' : 'none';
-    const flatDisplay = modelValue === 'FLAT' ? '' : 'none';
-    const uiValue = resolveFieldValue(field.uiField, item, context) ?? '';
-    const flatValue = resolveFieldValue(field.flatField, item, context) ?? '';
-    const uiFieldHtml = buildInputHtml(field.uiField, uiValue, '', field.uiField.step ? ` step="${field.uiField.step}"` : '', '', false);
-    const flatFieldHtml = buildInputHtml(field.flatField, flatValue, '', field.flatField.step ? ` step="${field.flatField.step}"` : '', '', false);
-    return `
-      <div id="${field.uiGroupId}" class="form-group" style="display:${uiDisplay};">
-        ${uiFieldHtml}
-      </div>
-      <div id="${field.flatGroupId}" class="form-group" style="display:${flatDisplay};">
-        ${flatFieldHtml}
-      </div>
-    `;
+  if (field.type === 'pricingEditor') {
+    return buildPricingEditorHtml(field.prefix, item);
+  }
+
+  if (field.type === 'costEditor') {
+    return buildCostEditorHtml(field.prefix, item);
   }
 
   const value = resolveFieldValue(field, item, context) ?? '';
@@ -0,0 +1,152 @@
+// /shared/auth_session.js
+// Who is signed in on this device (per browser tab), the sign-in dialog and the signed-in user chip
+
+import { AccessControl } from '../access_control.js';
+import { DataStorage } from '../data_storage.js';
+import { showModal, escapeHtml } from './ui_helpers.js';
+
+// sessionStorage, so closing the tab signs the user out of a shared tablet. It holds the token
+// from DataStorage.signIn, which is checked again on every page load, never a bare user id.
+const SESSION_KEY = 'auth_session';
+
+/**
+ * The session this tab saved, for DataStorage.init (it is checked by resumeSession)
+ */
+export function getSavedSession() {
+  return readSession();
+}
+
+function readSession() {
+  try {
+    const session = JSON.parse(sessionStorage.getItem(SESSION_KEY));
+    return session && session.token ? session : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * The signed-in user, if the saved session is still valid and the user is still active
+ */
+export async function resumeSession() {
+  const session = readSession();
+  if (!session) return null;
+  const user = await DataStorage.resumeSession(session).catch(error => {
+    console.error('Session not checked:', error);
+    return null;
+  });
+  if (!user) sessionStorage.removeItem(SESSION_KEY);
+  return user;
+}
+
+export function startSession({ token, userId }) {
+  sessionStorage.setItem(SESSION_KEY, JSON.stringify({ token, userId, startedAt: new Date().toISOString() }));
+}
+
+export async function endSession() {
+  sessionStorage.removeItem(SESSION_KEY);
+  await DataStorage.signOut();
+}
+
+/**
+ * Username and password dialog
+ * @param {object} options - { title, message, permission (the user must have it), allowCancel, startsSession,
+ *   onSignIn (async, called with the user while they are signed in; an error it throws is shown in the dialog) }
+ * @returns {Promise<object|null>} the user, or null if cancelled
+ */
+export function promptSignIn({ title = 'Sign In', message = '', permission = null, allowCancel = true, startsSession = true, onSignIn = null } = {}) {
+  return new Promise(resolve => {
+    const content = `
+      ${message ? `<p style="font-size: 13px; color: var(--text-secondary); margin-top: 0;">${escapeHtml(message)}</p>` : ''}
+      <div class="form-group">
+        <label>Username</label>
+        <input type="text" id="sign-in-username" autocomplete="username" autocapitalize="none">
+      </div>
+      <div class="form-group">
+        <label>Password</label>
+        <input type="password" id="sign-in-password" autocomplete="current-password">
+      </div>
+      <div id="sign-in-error" style="color: #dc2626; font-size: 13px;"></div>
+    `;
+
+    let checking = false;
+    const signIn = async () => {
+      if (checking) return;
+      checking = true;
+      const errorBox = document.getElementById('sign-in-error');
+      errorBox.textContent = 'Checking…';
+      // The session of whoever is already signed in must survive a one-off approval
+      const previousToken = DataStorage.authToken;
+      let session = null;
+      let error = '';
+      try {
+        session = await DataStorage.signIn(document.getElementById('sign-in-username').value, document.getElementById('sign-in-password').value);
+        if (!session) error = 'Wrong username or password';
+        else if (permission && !AccessControl.can(session.user, permission)) error = `A ${AccessControl.getRoleLabel(session.user.role)} cannot do this`;
+        else if (onSignIn) await onSignIn(session.user);
+      } catch (cause) {
+        error = cause.message;
+      }
+      if (session && (error || !startsSession)) {
+        await DataStorage.signOut();
+        if (previousToken) await DataStorage.resumeSession({ ...readSession(), token: previousToken });
+      }
+      checking = false;
+      if (error) {
+        errorBox.textContent = error;
+        document.getElementById('sign-in-password').value = '';
+        return;
+      }
+      if (startsSession) startSession(session);
+      document.getElementById(modalId).remove();
+      resolve(session.user);
+    };
+
+    const buttons = [{ label: 'Sign In', type: 'primary', keepOpen: true, onclick: signIn }];
+    if (allowCancel) buttons.push({ label: 'Cancel', onclick: () => resolve(null) });
+    const modalId = showModal(escapeHtml(title), content, buttons, { maxWidth: '400px' });
+
+    // Clicking outside cancels like the Cancel button, or does nothing when signing in is required
+    const modal = document.getElementById(modalId);
+    modal.onclick = (event) => {
+      if (event.target !== modal || !allowCancel || checking) return;
+      modal.remove();
+      resolve(null);
+    };
+    document.getElementById('sign-in-password').addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') signIn();
+    });
+    document.getElementById('sign-in-username').focus();
+  });
+}
+
+/**
+ * The signed-in user when they have the permission, otherwise the sign-in dialog.
+ * With no accounts set up nobody is asked to sign in and null is returned.
+ */
+export async function requireSignIn(options = {}) {
+  if (!DataStorage.isLocked()) return null;
+  const user = await resumeSession();
+  if (user && (!options.permission || AccessControl.can(user, options.permission))) return user;
+  const signedIn = await promptSignIn(options);
+  // The storage server only sends quotes, customers and users to a signed-in user
+  if (signedIn) await DataStorage.refresh().catch(error => console.error('Refresh after sign-in failed:', error));
+  return signedIn;
+}
+
+/**
+ * "Name (Role) · Sign Out" in the corner of the page
+ */
+export function renderUserChip(container, user, { onSignOut }) {
+  if (!container) return;
+  if (!user) {
+    container.style.display = 'none';
+    return;
+  }
+  container.style.display = '';
+  container.innerHTML = `
+    <span>${escapeHtml(user.name)} · ${escapeHtml(AccessControl.getRoleLabel(user.role))}</span>
+    <button type="button">Sign Out</button>
+  `;
+  container.querySelector('button').onclick = onSignOut;
+}
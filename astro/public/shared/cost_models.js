@@ -0,0 +1,149 @@
+// /shared/cost_models.js
+// Dealer cost on products and addons, and sales commission plans - labels, tier parsing and the admin cost editor
+
+import { parseSpreadsheetText } from './pricing_models.js';
+
+// '' falls back to the manufacturer's cost multiplier (set on the manufacturer)
+export const COST_MODELS = [
+  { value: '', label: 'Manufacturer multiplier' },
+  { value: 'UI', label: 'Cost per UI' },
+  { value: 'FLAT', label: 'Flat Cost' },
+  { value: 'MULTIPLIER', label: 'Multiplier of price' }
+];
+
+const COST_INPUTS = {
+  UI: { key: 'costUIRate', label: 'Cost per UI ($/UI)', placeholder: '7.25', step: '0.01' },
+  FLAT: { key: 'costFlatPrice', label: 'Flat Cost ($)', placeholder: '1400', step: '0.01' },
+  MULTIPLIER: { key: 'costMultiplier', label: 'Cost Multiplier (× price)', placeholder: '0.55', step: '0.001' }
+};
+
+export const COST_FIELDS = ['costModel', ...Object.values(COST_INPUTS).map(input => input.key)];
+
+export const COMMISSION_PLAN_TYPES = [
+  { value: 'UPLIFT_PERCENT', label: 'Percent of uplift' },
+  { value: 'MARGIN_PERCENT', label: 'Percent of margin' },
+  { value: 'TIERED', label: 'Tiered by margin %' }
+];
+
+const money = (value) => `$${(parseFloat(value) || 0).toFixed(2)}`;
+
+/**
+ * Short cost text for tables, e.g. "$7.25/UI cost" or "× 0.55 of price"
+ */
+export function formatCost(item) {
+  switch (item.costModel) {
+    case 'UI': return `${money(item.costUIRate)}/UI cost`;
+    case 'FLAT': return `${money(item.costFlatPrice)} cost`;
+    case 'MULTIPLIER': return `× ${item.costMultiplier ?? 0} of price`;
+    default: return 'Mfr multiplier';
+  }
+}
+
+/**
+ * Replace an item's cost with new cost fields, dropping those of its old cost model
+ */
+export function applyCostFields(target, cost) {
+  COST_FIELDS.forEach(key => delete target[key]);
+  return Object.assign(target, cost);
+}
+
+/**
+ * { costModel, [field]: value } for a cost model and the value typed or imported for it.
+ * The manufacturer fallback stores no fields at all.
+ */
+export function pickCostFields(costModel, value) {
+  const input = COST_INPUTS[costModel];
+  if (!input) return {};
+  const amount = parseFloat(value);
+  if (isNaN(amount) || amount < 0) {
+    throw new Error(`${input.label.replace(/ \(.*\)$/, '')} must be 0 or greater`);
+  }
+  return { costModel, [input.key]: amount };
+}
+
+/**
+ * The value of an item's cost model, for the editor and CSV export
+ */
+export function getCostValue(item) {
+  const input = COST_INPUTS[item.costModel];
+  return input ? item[input.key] ?? '' : '';
+}
+
+// ============================================================================
+// COMMISSION PLANS
+// ============================================================================
+
+/**
+ * Commission tiers from "minimum margin %, commission %" rows, lowest margin first
+ */
+export function parseCommissionTiers(text) {
+  const tiers = parseSpreadsheetText(text).map((row, index) => {
+    const minMarginPercent = parseFloat(row[0]);
+    const percent = parseFloat(row[1]);
+    if (isNaN(minMarginPercent) || isNaN(percent) || percent < 0) {
+      throw new Error(`Commission tier ${index + 1} needs a minimum margin % and a commission % of 0 or more`);
+    }
+    return { minMarginPercent, percent };
+  });
+  if (tiers.length === 0) throw new Error('Add at least one commission tier');
+  return tiers.sort((a, b) => a.minMarginPercent - b.minMarginPercent);
+}
+
+export function commissionTiersToText(tiers = []) {
+  return tiers.map(tier => `${tier.minMarginPercent}, ${tier.percent}`).join('\n');
+}
+
+/**
+ * e.g. "10% of uplift" or "3% of sale from 20% margin, 5% of sale from 35% margin"
+ */
+export function describeCommissionPlan(plan) {
+  if (plan.type === 'UPLIFT_PERCENT') return `${plan.percent}% of uplift`;
+  if (plan.type === 'MARGIN_PERCENT') return `${plan.percent}% of gross margin`;
+  return (plan.tiers || [])
+    .map(tier => `${tier.percent}% of sale from ${tier.minMarginPercent}% margin`)
+    .join(', ') || 'No tiers';
+}
+
+// ============================================================================
+// ADMIN COST EDITOR (element ids are prefixed, e.g. 'edit-prod' -> 'edit-prod-cost-model')
+// ============================================================================
+
+export function buildCostEditorHtml(prefix, item = {}) {
+  const costModel = item.costModel || '';
+  const input = COST_INPUTS[costModel];
+  return `
+    <div class="form-row">
+      <div class="form-group">
+        <label>Dealer Cost</label>
+        <select id="${prefix}-cost-model" onchange="toggleCostEditor('${prefix}')">
+          ${COST_MODELS.map(option => `<option value="${option.value}" ${option.value === costModel ? 'selected' : ''}>${option.label}</option>`).join('')}
+        </select>
+        <small>Internal only. Used for margin and commission, never shown to customers.</small>
+      </div>
+      <div class="form-group" id="${prefix}-cost-value-group" style="display:${input ? '' : 'none'};">
+        <label id="${prefix}-cost-value-label">${input ? input.label : ''}</label>
+        <input type="number" id="${prefix}-cost-value" min="0" step="${input ? input.step : '0.01'}" value="${getCostValue(item)}" placeholder="${input ? input.placeholder : ''}">
+      </div>
+    </div>
+  `;
+}
+
+export function toggleCostEditor(prefix) {
+  const input = COST_INPUTS[document.getElementById(`${prefix}-cost-model`).value];
+  document.getElementById(`${prefix}-cost-value-group`).style.display = input ? '' : 'none';
+  if (!input) return;
+  document.getElementById(`${prefix}-cost-value-label`).textContent = input.label;
+  const valueInput = document.getElementById(`${prefix}-cost-value`);
+  valueInput.placeholder = input.placeholder;
+  valueInput.step = input.step;
+}
+
+/**
+ * Read the editor into cost fields. Throws with a readable message on a missing or negative value.
+ */
+export function readCostEditor(prefix) {
+  return pickCostFields(
+    document.getElementById(`${prefix}-cost-model`).value,
+    document.getElementById(`${prefix}-cost-value`).value
+  );
+}
@@ -0,0 +1,58 @@
+// /shared/frame_colors.js
+// Frame colours - the palette offered on the sales page and how a colour is labelled and drawn
+
+// Offered until colours are added in the admin page, and used to show quotes saved before then
+export const DEFAULT_FRAME_COLORS = {
+  white: { id: 'white', name: 'White', hex: '#ffffff' },
+  tan: { id: 'tan', name: 'Tan', hex: '#d6c3a6' },
+  adobe: { id: 'adobe', name: 'Adobe', hex: '#c58b68' },
+  black: { id: 'black', name: 'Black', hex: '#222222' }
+};
+
+export const COLOR_PRICING_MODELS = [
+  { value: '', label: 'No charge' },
+  { value: 'UI', label: 'UI Based' },
+  { value: 'FLAT', label: 'Flat Price' }
+];
+
+/**
+ * Colours a catalog offers; the built-in palette when it has none
+ */
+export function getFrameColors(catalogColors) {
+  return catalogColors && Object.keys(catalogColors).length > 0 ? catalogColors : DEFAULT_FRAME_COLORS;
+}
+
+/**
+ * Look up a line item's colour id in the catalog, then in the built-in palette
+ */
+export function findFrameColor(catalogColors, colorId) {
+  if (!colorId) return null;
+  return (catalogColors && catalogColors[colorId]) || DEFAULT_FRAME_COLORS[colorId] || null;
+}
+
+/**
+ * Customer-facing name, e.g. "Bronze / White interior" for a split colour
+ */
+export function describeFrameColor(color, fallbackId = '') {
+  if (!color) return fallbackId ? fallbackId.charAt(0).toUpperCase() + fallbackId.slice(1) : '';
+  if (color.interiorHex) return `${color.name} / ${color.interiorName || 'Contrasting'} interior`;
+  return color.name;
+}
+
+/**
+ * CSS background for a swatch: exterior top-left, interior bottom-right when split
+ */
+export function frameColorSwatch(color) {
+  if (!color) return '#ffffff';
+  if (color.interiorHex) return `linear-gradient(135deg, ${color.hex} 50%, ${color.interiorHex} 50%)`;
+  return color.hex || '#ffffff';
+}
+
+/**
+ * Short price text, e.g. "+$1.50/UI" or "No charge"
+ */
+export function formatColorPrice(color) {
+  if (color.pricingModel === 'UI' && color.uiRate) return `+$${color.uiRate.toFixed(2)}/UI`;
+  if (color.pricingModel === 'FLAT' && color.flatPrice) return `+$${color.flatPrice.toFixed(2)}`;
+  return 'No charge';
+}
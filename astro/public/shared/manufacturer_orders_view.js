@@ -0,0 +1,280 @@
+// /shared/manufacturer_orders_view.js
+// Manufacturer order sheets (CSV and printable HTML) and the orders dialog for signed quotes
+
+import { ORDER_STATUSES, ManufacturerOrders } from '../manufacturer_orders.js';
+import { OPTION_KINDS, describeAppliedOption } from './product_options.js';
+import { findFrameColor, describeFrameColor } from './frame_colors.js';
+import { openProposal, PROPOSAL_DEFAULTS } from './proposal_renderer.js';
+import { formatCSV, downloadFile } from './version_utils.js';
+import { showModal, escapeHtml } from './ui_helpers.js';
+
+const ORDER_COLUMNS = [
+  { key: 'line', label: 'Line' },
+  { key: 'position', label: 'Position' },
+  { key: 'roomLabel', label: 'Room' },
+  { key: 'partCode', label: 'Part Code' },
+  { key: 'product', label: 'Product' },
+  { key: 'productLine', label: 'Product Line' },
+  { key: 'width', label: 'Width (in)' },
+  { key: 'height', label: 'Height (in)' },
+  { key: 'ui', label: 'UI' },
+  { key: 'frameColor', label: 'Frame Color' },
+  { key: 'mulling', label: 'Mulling' },
+  { key: 'hingeSide', label: 'Hinge' },
+  { key: 'swing', label: 'Swing' },
+  { key: 'options', label: 'Options' },
+  { key: 'addons', label: 'Addons' },
+  { key: 'notes', label: 'Notes' }
+];
+
+function capitalize(value) {
+  return value ? value.charAt(0).toUpperCase() + value.slice(1) : '';
+}
+
+/**
+ * Order line as the text that goes on the sheet, keyed by ORDER_COLUMNS
+ */
+function describeOrderLine(line, catalog) {
+  return {
+    line: line.lineNumber,
+    position: line.position,
+    roomLabel: line.roomLabel,
+    partCode: line.product.productTypeCode || '',
+    product: line.product.name,
+    productLine: line.productLine.name,
+    width: line.width,
+    height: line.height,
+    ui: line.ui,
+    frameColor: describeFrameColor(findFrameColor(catalog.colors, line.frameColor), line.frameColor),
+    mulling: line.assemblyJoints
+      ? `Mulled assembly (${line.assemblyJoints} joint${line.assemblyJoints === 1 ? '' : 's'})`
+      : capitalize(line.mullType),
+    hingeSide: capitalize(line.hingeSide),
+    swing: capitalize(line.swingType),
+    options: line.appliedOptions
+      .map(option => `${(OPTION_KINDS.find(kind => kind.key === option.kind) || {}).label || option.kind}: ${describeAppliedOption(option)}`)
+      .join('; '),
+    addons: line.addons.join('; '),
+    notes: line.notes
+  };
+}
+
+/**
+ * CSV order sheet for one manufacturer (RFC 4180 with a byte order mark for Excel)
+ * @param {object} order - one of ManufacturerOrders.buildOrders().orders
+ * @param {object} params - { quote, poNumber, catalog }
+ */
+export function buildOrderSheetCsv(order, { quote, poNumber, catalog }) {
+  const rows = [
+    ['PO Number', poNumber],
+    ['Manufacturer', order.manufacturerName],
+    ['Job', `${quote.customerName || ''} (${quote.id})`],
+    [],
+    ORDER_COLUMNS.map(column => column.label),
+    ...order.lines.map(line => {
+      const described = describeOrderLine(line, catalog);
+      return ORDER_COLUMNS.map(column => described[column.key]);
+    })
+  ];
+  return `\uFEFF${formatCSV(rows)}`;
+}
+
+/**
+ * Printable order sheet for one manufacturer
+ * @param {object} params - { quote, poNumber, catalog, company (proposal settings) }
+ * @returns {string} Standalone HTML document
+ */
+export function buildOrderSheetHtml(order, { quote, poNumber, catalog, company = {} }) {
+  const settings = { ...PROPOSAL_DEFAULTS, ...Object.fromEntries(Object.entries(company || {}).filter(([, v]) => v)) };
+  const lines = order.lines.map(line => describeOrderLine(line, catalog));
+  const contactLine = [settings.companyPhone, settings.companyEmail].filter(Boolean).map(escapeHtml).join(' • ');
+  const specs = (line) => [
+    ['Color', line.frameColor],
+    ['Mulling', line.mulling],
+    ['Hinge', line.hingeSide],
+    ['Swing', line.swing],
+    ['Options', line.options],
+    ['Addons', line.addons],
+    ['Notes', line.notes]
+  ].filter(([, value]) => value).map(([label, value]) => `<div><span class="muted">${label}:</span> ${escapeHtml(value)}</div>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(poNumber)} - ${escapeHtml(order.manufacturerName)}</title>
+  <style>
+    @page { size: letter landscape; margin: 0.5in; }
+    * { box-sizing: border-box; }
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", "Helvetica Neue", sans-serif; color: #18181b; margin: 0; padding: 2rem; line-height: 1.4; font-size: 12px; }
+    .page { max-width: 10in; margin: 0 auto; }
+    .toolbar { max-width: 10in; margin: 0 auto 1rem; text-align: right; }
+    .toolbar button { background: #27272a; color: #fff; border: 0; border-radius: 6px; padding: 8px 16px; font-size: 13px; cursor: pointer; }
+    header { display: flex; justify-content: space-between; align-items: flex-start; border-bottom: 3px solid #27272a; padding-bottom: 1rem; margin-bottom: 1rem; }
+    .company-name { font-size: 20px; font-weight: 700; }
+    .doc-title { text-align: right; }
+    .doc-title h1 { margin: 0; font-size: 18px; text-transform: uppercase; letter-spacing: 0.08em; }
+    .muted { color: #71717a; }
+    table { width: 100%; border-collapse: collapse; }
+    th { text-align: left; font-size: 11px; text-transform: uppercase; letter-spacing: 0.04em; color: #71717a; border-bottom: 2px solid #27272a; padding: 6px 4px; }
+    td { vertical-align: top; border-bottom: 1px solid #e4e4e7; padding: 6px 4px; }
+    tr { break-inside: avoid; page-break-inside: avoid; }
+    .part-code { font-weight: 700; font-family: ui-monospace, Menlo, monospace; }
+    .footer { margin-top: 1rem; font-weight: 600; }
+    @media print {
+      body { padding: 0; }
+      .toolbar { display: none; }
+    }
+  </style>
+</head>
+<body>
+  <div class="toolbar"><button onclick="window.print()">Print / Save as PDF</button></div>
+  <div class="page">
+    <header>
+      <div>
+        <div class="company-name">${escapeHtml(settings.companyName)}</div>
+        ${settings.companyAddress ? `<div>${escapeHtml(settings.companyAddress).replace(/\n/g, '<br>')}</div>` : ''}
+        ${contactLine ? `<div>${contactLine}</div>` : ''}
+      </div>
+      <div class="doc-title">
+        <h1>Purchase Order</h1>
+        <div><strong>${escapeHtml(poNumber)}</strong></div>
+        <div>${new Date().toLocaleDateString()}</div>
+      </div>
+    </header>
+    <p><span class="muted">Manufacturer:</span> <strong>${escapeHtml(order.manufacturerName)}</strong>
+      &nbsp; <span class="muted">Job:</span> ${escapeHtml(quote.customerName || '')} (${escapeHtml(quote.id)})</p>
+    <table>
+      <thead>
+        <tr><th>Line</th><th>Room</th><th>Part Code</th><th>Product</th><th>Width × Height</th><th>UI</th><th>Details</th></tr>
+      </thead>
+      <tbody>
+        ${lines.map(line => `
+          <tr>
+            <td>${line.line}${line.position ? `<div class="muted">${escapeHtml(line.position)}</div>` : ''}</td>
+            <td>${escapeHtml(line.roomLabel)}</td>
+            <td class="part-code">${escapeHtml(line.partCode)}</td>
+            <td>${escapeHtml(line.product)}<div class="muted">${escapeHtml(line.productLine)}</div></td>
+            <td style="white-space: nowrap;">${line.width}" × ${line.height}"</td>
+            <td>${line.ui}</td>
+            <td>${specs(line)}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+    <div class="footer">${lines.length} unit${lines.length === 1 ? '' : 's'}</div>
+  </div>
+</body>
+</html>`;
+}
+
+/**
+ * Coloured pill for a manufacturer order's status
+ */
+export function orderStatusPill(order) {
+  const def = ManufacturerOrders.getStatusDefinition(order ? order.status : null);
+  return `<span class="status-pill" style="background:${def.color}; color:${def.textColor};">${def.label}</span>`;
+}
+
+/**
+ * Dialog listing a signed quote's orders by manufacturer: print or download each order sheet
+ * and record its PO number and status on the quote
+ * @param {object} quote - the saved quote
+ * @param {object} options - { version (the signed version), versionNumber, catalog, company, onSave(updatedQuote), onError(message) }
+ */
+export function openManufacturerOrdersModal(quote, { version, versionNumber, catalog, company = {}, onSave, onError }) {
+  const { orders, unassigned } = ManufacturerOrders.buildOrders(version, catalog);
+  if (orders.length === 0) {
+    onError('None of the signed items belong to a manufacturer in the catalog');
+    return null;
+  }
+
+  const poNumberFor = (order, index) => {
+    const input = document.getElementById(`order-po-${index}`);
+    return (input && input.value.trim()) || (ManufacturerOrders.getOrder(quote, order.manufacturerId) || {}).poNumber
+      || ManufacturerOrders.suggestPoNumber(quote, index);
+  };
+  const fileName = (order, index) => `${poNumberFor(order, index)}-${order.manufacturerName}`.replace(/[^\w.-]+/g, '_');
+
+  const renderOrders = () => orders.map((order, index) => {
+    const record = ManufacturerOrders.getOrder(quote, order.manufacturerId);
+    const lastEntry = record ? record.history[record.history.length - 1] : null;
+    return `
+      <div class="manufacturer-order">
+        <div style="display: flex; justify-content: space-between; align-items: center; gap: 8px;">
+          <strong>${escapeHtml(order.manufacturerName)}</strong>
+          <span>${orderStatusPill(record)}<span class="order-meta" style="margin-left: 6px;">${order.lines.length} unit${order.lines.length === 1 ? '' : 's'}</span></span>
+        </div>
+        ${record ? `<div class="order-meta">PO ${escapeHtml(record.poNumber)}, updated ${new Date(record.updatedAt).toLocaleString()}${lastEntry && lastEntry.note ? ` - ${escapeHtml(lastEntry.note)}` : ''}</div>` : ''}
+        ${ManufacturerOrders.isOutdated(quote, record) ? '<div class="order-warning">Ordered from an earlier signed version. Check the change order and update this order.</div>' : ''}
+        <div class="order-meta" style="margin: 6px 0;">
+          ${order.lines.map(line => escapeHtml(`${line.lineNumber}. ${line.roomLabel} - ${line.product.productTypeCode || ''} ${line.product.name} ${line.width}" × ${line.height}"`)).join('<br>')}
+        </div>
+        <div class="form-row">
+          <div class="form-group">
+            <label>PO Number</label>
+            <input type="text" id="order-po-${index}" value="${escapeHtml(record ? record.poNumber : ManufacturerOrders.suggestPoNumber(quote, index))}">
+          </div>
+          <div class="form-group">
+            <label>Status</label>
+            <select id="order-status-${index}">
+              ${ORDER_STATUSES.map(def => `<option value="${def.value}" ${def.value === (record ? record.status : 'ordered') ? 'selected' : ''}>${def.label}</option>`).join('')}
+            </select>
+          </div>
+          <div class="form-group">
+            <label>Note</label>
+            <input type="text" id="order-note-${index}" placeholder="Optional, e.g. confirmation number">
+          </div>
+        </div>
+        <div style="display: flex; gap: 8px;">
+          <button class="btn-secondary" type="button" data-order-action="print" data-order-index="${index}">Print Order Sheet</button>
+          <button class="btn-secondary" type="button" data-order-action="csv" data-order-index="${index}">Download CSV</button>
+          <button class="btn-primary" type="button" data-order-action="save" data-order-index="${index}">Save Order</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  const content = `
+    <p style="font-size: 13px; color: var(--text-secondary);">Ordering from signed version${versionNumber ? ` v${versionNumber}` : ''}, saved ${new Date(version.timestamp).toLocaleString()}.</p>
+    ${unassigned.length > 0 ? `
+      <div class="order-warning" style="margin-bottom: 1rem;">
+        Not on any order sheet:
+        ${unassigned.map(line => escapeHtml(`${line.lineNumber}. ${line.roomLabel}${line.position ? ` (${line.position})` : ''} - ${line.reason}`)).join('<br>')}
+      </div>
+    ` : ''}
+    <div id="manufacturer-orders">${renderOrders()}</div>
+  `;
+
+  const modalId = showModal(`Manufacturer Orders - ${escapeHtml(quote.customerName || 'Unnamed Quote')}`, content, [
+    { label: 'Close', onclick: () => {} }
+  ], { maxWidth: '760px' });
+
+  document.getElementById('manufacturer-orders').addEventListener('click', (event) => {
+    const button = event.target.closest('[data-order-action]');
+    if (!button) return;
+    const index = Number(button.dataset.orderIndex);
+    const order = orders[index];
+    const poNumber = poNumberFor(order, index);
+
+    if (button.dataset.orderAction === 'print') {
+      openProposal(buildOrderSheetHtml(order, { quote, poNumber, catalog, company }), `${fileName(order, index)}.html`);
+    } else if (button.dataset.orderAction === 'csv') {
+      downloadFile(buildOrderSheetCsv(order, { quote, poNumber, catalog }), `${fileName(order, index)}.csv`, 'text/csv');
+    } else {
+      try {
+        quote = ManufacturerOrders.recordOrder(quote, order, {
+          status: document.getElementById(`order-status-${index}`).value,
+          poNumber: document.getElementById(`order-po-${index}`).value,
+          note: document.getElementById(`order-note-${index}`).value,
+          versionId: version.id
+        });
+        onSave(quote, order);
+        document.getElementById('manufacturer-orders').innerHTML = renderOrders();
+      } catch (error) {
+        onError(error.message);
+      }
+    }
+  });
+  return modalId;
+}
@@ -0,0 +1,314 @@
+// /shared/pricing_models.js
+// Product and addon pricing models - labels, price text, tier/matrix parsing and the admin pricing editor
+
+export const PRICING_MODELS = [
+  { value: 'UI', label: 'UI Based' },
+  { value: 'FLAT', label: 'Flat Price' },
+  { value: 'UI_TIERED', label: 'UI Tiers' },
+  { value: 'SIZE_MATRIX', label: 'Size Matrix (width × height)' },
+  { value: 'SQFT', label: 'Per Square Foot' },
+  { value: 'PERIMETER', label: 'Per Linear Foot (perimeter)' }
+];
+
+// Fields each model reads; saving under one model clears the others
+const MODEL_FIELDS = {
+  UI: ['uiRate'],
+  FLAT: ['flatPrice'],
+  UI_TIERED: ['uiTiers'],
+  SIZE_MATRIX: ['sizeMatrix'],
+  SQFT: ['sqftRate'],
+  PERIMETER: ['perimeterRate']
+};
+
+export const PRICING_FIELDS = Object.values(MODEL_FIELDS).flat();
+
+const NUMERIC_FIELDS = ['uiRate', 'flatPrice', 'sqftRate', 'perimeterRate'];
+
+const money = (value) => `$${(parseFloat(value) || 0).toFixed(2)}`;
+
+export function getPricingModelLabel(model) {
+  const found = PRICING_MODELS.find(option => option.value === model);
+  return found ? found.label : model || '';
+}
+
+/**
+ * Short price text for tables, e.g. "$12.00/UI" or "4 × 3 grid up to 48" × 60""
+ */
+export function formatModelPrice(item) {
+  switch (item.pricingModel) {
+    case 'UI': return `${money(item.uiRate)}/UI`;
+    case 'FLAT': return money(item.flatPrice);
+    case 'UI_TIERED': {
+      const tiers = item.uiTiers || [];
+      return tiers.length > 0 ? `${tiers.length} tier${tiers.length === 1 ? '' : 's'} from ${money(Math.min(...tiers.map(tier => tier.price)))}` : 'No tiers';
+    }
+    case 'SIZE_MATRIX': {
+      const matrix = item.sizeMatrix;
+      if (!matrix || matrix.widths.length === 0 || matrix.heights.length === 0) return 'Empty grid';
+      return `${matrix.widths.length} × ${matrix.heights.length} grid up to ${matrix.widths[matrix.widths.length - 1]}" × ${matrix.heights[matrix.heights.length - 1]}"`;
+    }
+    case 'SQFT': return `${money(item.sqftRate)}/sq ft`;
+    case 'PERIMETER': return `${money(item.perimeterRate)}/lin ft`;
+    default: return '-';
+  }
+}
+
+/**
+ * The fields a model uses from a form payload (numbers parsed), for storing on a product or addon
+ */
+export function pickPricingFields(pricingModel, source = {}) {
+  const picked = { pricingModel };
+  (MODEL_FIELDS[pricingModel] || []).forEach(key => {
+    picked[key] = NUMERIC_FIELDS.includes(key) ? parseFloat(source[key]) || 0 : source[key] || null;
+  });
+  return picked;
+}
+
+/**
+ * Replace an item's pricing with new pricing, dropping fields left over from its old model
+ */
+export function applyPricingFields(target, pricing) {
+  PRICING_FIELDS.forEach(key => delete target[key]);
+  return Object.assign(target, pricing);
+}
+
+// ============================================================================
+// TIERS AND MATRICES AS TEXT (spreadsheet paste and CSV cells)
+// ============================================================================
+
+/**
+ * Split pasted spreadsheet text into rows of cells (tab separated, or comma separated when there are no tabs)
+ */
+export function parseSpreadsheetText(text) {
+  const separator = text.includes('\t') ? '\t' : ',';
+  return text.split(/\r?\n/)
+    .filter(line => line.trim() !== '')
+    .map(line => line.split(separator).map(cell => cell.trim()));
+}
+
+const toNumber = (value) => {
+  const cleaned = String(value ?? '').replace(/[$,\s]/g, '');
+  return cleaned === '' ? NaN : Number(cleaned);
+};
+
+/**
+ * Tiers from [[maxUI, price]] rows. The last tier may leave maxUI blank for no upper limit.
+ * @returns {array} [{ maxUI, price }] sorted by maxUI
+ */
+export function parseUITiers(rows) {
+  const tiers = rows
+    .filter(row => row.some(cell => String(cell).trim() !== ''))
+    .map((row, index) => {
+      const maxUI = String(row[0] ?? '').trim() === '' ? null : toNumber(row[0]);
+      const price = toNumber(row[1]);
+      if (maxUI !== null && !(maxUI > 0)) throw new Error(`Tier ${index + 1}: the largest UI must be a positive number`);
+      if (!(price >= 0)) throw new Error(`Tier ${index + 1}: price must be a number`);
+      return { maxUI, price };
+    });
+
+  if (tiers.length === 0) throw new Error('Add at least one UI tier');
+  tiers.forEach((tier, index) => {
+    if (tier.maxUI === null && index !== tiers.length - 1) throw new Error('Only the last tier can have no upper UI limit');
+    if (index > 0 && tier.maxUI !== null && tier.maxUI <= tiers[index - 1].maxUI) throw new Error(`Tier ${index + 1}: UI limits must go up`);
+  });
+  return tiers;
+}
+
+export function uiTiersToRows(tiers = []) {
+  return tiers.map(tier => [tier.maxUI === null ? '' : String(tier.maxUI), String(tier.price)]);
+}
+
+/**
+ * Matrix from a grid of cells: widths across the first row, heights down the first column
+ * @returns {object} { widths, heights, prices: [[price per width] per height] }
+ */
+export function parseSizeMatrix(cells) {
+  const isBlank = (cell) => String(cell ?? '').trim() === '';
+  const rows = cells.filter((row, index) => index === 0 || !row.every(isBlank));
+  const columnCount = Math.max(0, ...rows.map(row => {
+    let last = row.length - 1;
+    while (last > 0 && isBlank(row[last])) last--;
+    return last + 1;
+  }));
+  if (rows.length < 2 || columnCount < 2) throw new Error('The size matrix needs at least one width and one height');
+
+  const widths = rows[0].slice(1, columnCount).map(toNumber);
+  const heights = rows.slice(1).map(row => toNumber(row[0]));
+  const ascending = (values) => values.every((value, index) => value > 0 && (index === 0 || value > values[index - 1]));
+  if (!ascending(widths)) throw new Error('Matrix widths must be positive numbers going up left to right');
+  if (!ascending(heights)) throw new Error('Matrix heights must be positive numbers going up top to bottom');
+
+  const prices = rows.slice(1).map((row, rowIndex) => widths.map((width, colIndex) => {
+    const price = toNumber(row[colIndex + 1]);
+    if (!(price >= 0)) throw new Error(`No price for ${width}" × ${heights[rowIndex]}"`);
+    return price;
+  }));
+  return { widths, heights, prices };
+}
+
+export function sizeMatrixToCells(matrix) {
+  if (!matrix) return [['', '', '', ''], ['', '', '', ''], ['', '', '', ''], ['', '', '', '']];
+  return [
+    ['', ...matrix.widths.map(String)],
+    ...matrix.heights.map((height, index) => [String(height), ...matrix.prices[index].map(String)])
+  ];
+}
+
+// CSV cells: tiers as "80=450; 101=520; =600", matrices as rows of "|"-separated cells joined by "; "
+export function encodeUITiers(tiers) {
+  return (tiers || []).map(tier => `${tier.maxUI === null ? '' : tier.maxUI}=${tier.price}`).join('; ');
+}
+
+export function decodeUITiers(text) {
+  return text ? parseUITiers(text.split(';').map(part => part.split('='))) : null;
+}
+
+export function encodeSizeMatrix(matrix) {
+  return matrix ? sizeMatrixToCells(matrix).map(row => row.join('|')).join('; ') : '';
+}
+
+export function decodeSizeMatrix(text) {
+  return text ? parseSizeMatrix(text.split(';').map(row => row.split('|'))) : null;
+}
+
+// ============================================================================
+// ADMIN PRICING EDITOR (element ids are prefixed, e.g. 'edit-prod' -> 'edit-prod-model')
+// ============================================================================
+
+const INPUT_GROUPS = [
+  { model: 'UI', suffix: 'ui-rate', key: 'uiRate', label: 'UI Rate ($/UI)', placeholder: '12.50' },
+  { model: 'FLAT', suffix: 'flat-price', key: 'flatPrice', label: 'Flat Price ($)', placeholder: '2500' },
+  { model: 'SQFT', suffix: 'sqft-rate', key: 'sqftRate', label: 'Rate ($/sq ft)', placeholder: '45' },
+  { model: 'PERIMETER', suffix: 'perimeter-rate', key: 'perimeterRate', label: 'Rate ($/linear ft of perimeter)', placeholder: '6' }
+];
+
+export function buildMatrixGridHtml(prefix, cells) {
+  const cellStyle = 'width: 72px; padding: 4px 6px; font-size: 13px;';
+  return `
+    <table style="border-collapse: collapse; width: auto;">
+      ${cells.map((row, rowIndex) => `
+        <tr>
+          ${row.map((cell, colIndex) => rowIndex === 0 && colIndex === 0
+            ? '<th style="font-size: 11px; color: var(--text-secondary); padding: 4px;">H \\ W</th>'
+            : `<td style="padding: 2px;"><input type="text" class="matrix-cell" data-row="${rowIndex}" data-col="${colIndex}" value="${cell}" style="${cellStyle}${rowIndex === 0 || colIndex === 0 ? ' font-weight: 600; background: #f4f4f5;' : ''}" onpaste="pasteIntoMatrix(event, '${prefix}')"></td>`
+          ).join('')}
+        </tr>
+      `).join('')}
+    </table>
+  `;
+}
+
+/**
+ * Pricing model select plus the inputs for every model (only the selected model's are shown)
+ */
+export function buildPricingEditorHtml(prefix, item = {}) {
+  const model = item.pricingModel || 'UI';
+  const show = (groupModel) => groupModel === model ? '' : 'none';
+  const tiersText = uiTiersToRows(item.uiTiers).map(row => row.join(', ')).join('\n');
+
+  return `
+    <div class="form-row">
+      <div class="form-group">
+        <label>Pricing Model</label>
+        <select id="${prefix}-model" onchange="togglePricingEditor('${prefix}')">
+          ${PRICING_MODELS.map(option => `<option value="${option.value}" ${option.value === model ? 'selected' : ''}>${option.label}</option>`).join('')}
+        </select>
+      </div>
+      ${INPUT_GROUPS.map(group => `
+        <div class="form-group" id="${prefix}-group-${group.model}" style="display:${show(group.model)};">
+          <label>${group.label}</label>
+          <input type="number" id="${prefix}-${group.suffix}" step="0.01" value="${item[group.key] ?? ''}" placeholder="${group.placeholder}">
+        </div>
+      `).join('')}
+    </div>
+    <div class="form-group full-span" id="${prefix}-group-UI_TIERED" style="display:${show('UI_TIERED')};">
+      <label>UI Tiers</label>
+      <textarea id="${prefix}-tiers" rows="4" placeholder="80, 450&#10;101, 520&#10;, 600">${tiersText}</textarea>
+      <small>One tier per line: the largest UI in the tier, then its price. Leave the last tier's UI blank for no upper limit. Two columns pasted from a spreadsheet work too.</small>
+    </div>
+    <div class="form-group full-span" id="${prefix}-group-SIZE_MATRIX" style="display:${show('SIZE_MATRIX')};">
+      <label>Size Matrix</label>
+      <div id="${prefix}-matrix-grid" style="overflow-x: auto;">${buildMatrixGridHtml(prefix, sizeMatrixToCells(item.sizeMatrix))}</div>
+      <div style="display: flex; gap: 8px; margin-top: 6px;">
+        <button class="btn-secondary" type="button" onclick="resizeMatrix('${prefix}', 0, 1)">+ Width</button>
+        <button class="btn-secondary" type="button" onclick="resizeMatrix('${prefix}', 1, 0)">+ Height</button>
+      </div>
+      <small>Widths across the top, heights down the side, in inches. A size is priced at the next width and height up. Paste a whole sheet from a spreadsheet into the first width cell.</small>
+    </div>
+  `;
+}
+
+export function togglePricingEditor(prefix) {
+  const model = document.getElementById(`${prefix}-model`).value;
+  PRICING_MODELS.forEach(option => {
+    const group = document.getElementById(`${prefix}-group-${option.value}`);
+    if (group) group.style.display = option.value === model ? '' : 'none';
+  });
+}
+
+export function readMatrixCells(prefix) {
+  const cells = [];
+  document.querySelectorAll(`#${prefix}-matrix-grid .matrix-cell`).forEach(input => {
+    const row = parseInt(input.dataset.row);
+    const col = parseInt(input.dataset.col);
+    cells[row] = cells[row] || [''];
+    cells[row][col] = input.value;
+  });
+  return cells;
+}
+
+function renderMatrixCells(prefix, cells) {
+  const width = Math.max(...cells.map(row => row.length));
+  const padded = cells.map(row => Array.from({ length: width }, (_, index) => row[index] ?? ''));
+  document.getElementById(`${prefix}-matrix-grid`).innerHTML = buildMatrixGridHtml(prefix, padded);
+}
+
+export function resizeMatrix(prefix, addRows, addColumns) {
+  const cells = readMatrixCells(prefix);
+  const width = cells[0].length + addColumns;
+  for (let i = 0; i < addRows; i++) cells.push([]);
+  cells[0] = Array.from({ length: width }, (_, index) => cells[0][index] ?? '');
+  renderMatrixCells(prefix, cells);
+}
+
+/**
+ * Spreadsheet paste into the grid: fills cells from the one pasted into, growing the grid as needed
+ */
+export function pasteIntoMatrix(event, prefix) {
+  const text = (event.clipboardData || window.clipboardData).getData('text');
+  if (!text.includes('\t') && !text.includes('\n')) return; // a single value pastes normally
+  event.preventDefault();
+
+  const pasted = parseSpreadsheetText(text);
+  const startRow = parseInt(event.target.dataset.row);
+  const startCol = parseInt(event.target.dataset.col);
+  // A sheet copied with its blank corner cell lands with the corner on the corner
+  const cornerCopied = startRow === 0 && startCol === 1 && pasted[0][0] === '';
+  const originCol = cornerCopied ? 0 : startCol;
+
+  const cells = readMatrixCells(prefix);
+  pasted.forEach((row, rowOffset) => {
+    const target = startRow + rowOffset;
+    cells[target] = cells[target] || [''];
+    row.forEach((value, colOffset) => {
+      if (target === 0 && originCol + colOffset === 0) return;
+      cells[target][originCol + colOffset] = value;
+    });
+  });
+  renderMatrixCells(prefix, cells);
+}
+
+/**
+ * Read the editor into { pricingModel, ...fields }. Throws with a readable message on bad tiers or matrices.
+ */
+export function readPricingEditor(prefix) {
+  const pricingModel = document.getElementById(`${prefix}-model`).value;
+  if (pricingModel === 'UI_TIERED') {
+    return { pricingModel, uiTiers: parseUITiers(parseSpreadsheetText(document.getElementById(`${prefix}-tiers`).value)) };
+  }
+  if (pricingModel === 'SIZE_MATRIX') {
+    return { pricingModel, sizeMatrix: parseSizeMatrix(readMatrixCells(prefix)) };
+  }
+  const group = INPUT_GROUPS.find(input => input.model === pricingModel);
+  return pickPricingFields(pricingModel, { [group.key]: document.getElementById(`${prefix}-${group.suffix}`).value });
+}
@@ -0,0 +1,112 @@
+// /shared/product_options.js
+// Structured product options (grilles, glass, hardware) - labels for the admin and sales pages
+
+export const OPTION_KINDS = [
+  { key: 'grille', label: 'Grille Pattern', noneLabel: 'No grilles' },
+  { key: 'glass', label: 'Glass', noneLabel: 'Standard glass' },
+  { key: 'hardware', label: 'Hardware Finish', noneLabel: 'Standard hardware' }
+];
+
+export const GRILLE_PATTERNS = [
+  { value: 'colonial', label: 'Colonial' },
+  { value: 'prairie', label: 'Prairie' }
+];
+
+export const GLASS_APPEARANCES = [
+  { value: 'clear', label: 'Clear' },
+  { value: 'low-e', label: 'Low-E' },
+  { value: 'obscure', label: 'Obscure' },
+  { value: 'tempered', label: 'Tempered' },
+  { value: 'obscure-tempered', label: 'Obscure Tempered' }
+];
+
+export const OPTION_PRICING_MODELS = [
+  { value: 'UI', label: 'UI Based' },
+  { value: 'FLAT', label: 'Flat Price' },
+  { value: 'PER_LITE', label: 'Per Lite', kinds: ['grille'] }
+];
+
+/**
+ * Pricing models an option kind can use (per lite only makes sense for grilles)
+ */
+export function getOptionPricingModels(kind) {
+  return OPTION_PRICING_MODELS.filter(model => !model.kinds || model.kinds.includes(kind));
+}
+
+/**
+ * Short price text for an option, e.g. "$2.00/UI"
+ */
+export function formatOptionPrice(option) {
+  if (option.pricingModel === 'UI') return `$${(option.uiRate || 0).toFixed(2)}/UI`;
+  if (option.pricingModel === 'PER_LITE') return `$${(option.liteRate || 0).toFixed(2)}/lite`;
+  return `$${(option.flatPrice || 0).toFixed(2)}`;
+}
+
+/**
+ * Customer-facing text for an applied option, e.g. "Colonial 3 × 2"
+ */
+export function describeAppliedOption(option) {
+  if (option.kind === 'grille' && option.pattern === 'colonial' && option.litesWide && option.litesHigh) {
+    return `${option.name} (${option.litesWide} × ${option.litesHigh} lites)`;
+  }
+  return option.name;
+}
+
+// ============================================================================
+// CSV CELL (one product's option sets, like the UI Tiers and Size Matrix cells)
+// ============================================================================
+
+// Option names may hold the separators, so those (and %) are percent-escaped
+const escapeOptionName = (name) => String(name || '').replace(/[%|;]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+const unescapeOptionName = (name) => name.replace(/%(25|7C|3B)/gi, (match, code) => String.fromCharCode(parseInt(code, 16)));
+
+/**
+ * Option sets as "kind|id|name|look|pricing model|price" entries, e.g.
+ * "grille|opt_1|Colonial Grids|colonial|PER_LITE|4.5; glass|opt_2|Obscure|obscure|FLAT|40"
+ * The look is the grille pattern, glass type or hardware colour.
+ */
+export function encodeProductOptions(optionSets) {
+  return OPTION_KINDS.flatMap(kind => ((optionSets || {})[kind.key] || []).map(option => {
+    const look = kind.key === 'grille' ? option.pattern : kind.key === 'glass' ? option.appearance : option.color;
+    const price = option.pricingModel === 'UI' ? option.uiRate : option.pricingModel === 'PER_LITE' ? option.liteRate : option.flatPrice;
+    return [kind.key, option.id, escapeOptionName(option.name), look || '', option.pricingModel, price ?? 0].join('|');
+  })).join('; ');
+}
+
+/**
+ * Option sets from an encoded cell (null when blank); throws on an entry that can't be read
+ */
+export function decodeProductOptions(text) {
+  if (!text) return null;
+  const optionSets = {};
+  text.split(';').map(entry => entry.trim()).filter(Boolean).forEach((entry, index) => {
+    const [kind, id, name, look, pricingModel, price] = entry.split('|').map(part => part.trim());
+    const label = `Option ${index + 1}`;
+    if (!OPTION_KINDS.some(k => k.key === kind)) throw new Error(`${label}: unknown option kind "${kind}" (grille, glass or hardware)`);
+    if (!name) throw new Error(`${label}: name is required`);
+    if (!getOptionPricingModels(kind).some(model => model.value === pricingModel)) {
+      throw new Error(`${label}: pricing model "${pricingModel}" can't be used for ${kind}`);
+    }
+    const rate = Number(price);
+    if (price === undefined || price === '' || !(rate >= 0)) throw new Error(`${label}: price must be 0 or greater`);
+    if (kind === 'grille' && !GRILLE_PATTERNS.some(pattern => pattern.value === look)) throw new Error(`${label}: unknown grille pattern "${look}"`);
+    if (kind === 'glass' && !GLASS_APPEARANCES.some(appearance => appearance.value === look)) throw new Error(`${label}: unknown glass type "${look}"`);
+
+    const option = { id: id || `opt_${Date.now()}_${index}`, name: unescapeOptionName(name), pricingModel };
+    if (kind === 'grille') option.pattern = look;
+    if (kind === 'glass') option.appearance = look;
+    if (kind === 'hardware') option.color = look || '#c0c0c0';
+    if (pricingModel === 'UI') option.uiRate = rate;
+    else if (pricingModel === 'PER_LITE') option.liteRate = rate;
+    else option.flatPrice = rate;
+    (optionSets[kind] = optionSets[kind] || []).push(option);
+  });
+  return optionSets;
+}
+
+/**
+ * Applied options keyed by kind ({ grille, glass, hardware }) for drawing
+ */
+export function optionsByKind(appliedOptions = []) {
+  return appliedOptions.reduce((map, option) => ({ ...map, [option.kind]: option }), {});
+}
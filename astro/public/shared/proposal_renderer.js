@@ -0,0 +1,335 @@
+// /shared/proposal_renderer.js
+// Customer-facing proposal document (printable HTML, save as PDF from the print dialog)
+
+import { OPTION_KINDS, describeAppliedOption } from './product_options.js';
+import { findFrameColor, describeFrameColor } from './frame_colors.js';
+import { escapeHtml } from './ui_helpers.js';
+
+export const PROPOSAL_DEFAULTS = {
+  companyName: 'Krasiva Windows & Doors',
+  companyAddress: '',
+  companyPhone: '',
+  companyEmail: '',
+  terms: 'Prices are valid for 30 days from the proposal date. Final measurements are verified before ordering; ' +
+    'changes in size or options may change the price. Custom products cannot be cancelled once ordered.'
+};
+
+const MULL_LABELS = { left: 'Left', right: 'Right', center: 'Center', above: 'Above', below: 'Below' };
+
+function capitalize(value) {
+  return value ? value.charAt(0).toUpperCase() + value.slice(1) : '';
+}
+
+// Units of a mulled assembly, one row per line of text (top to bottom)
+function describeAssemblyUnits(assembly, products) {
+  return (assembly.rows || []).map(row => row.map(unit => {
+    const product = products[unit.productId];
+    return `${product ? product.name : 'Custom product'} ${unit.width}" × ${unit.height}"`;
+  }).join(' | ')).join(' / ');
+}
+
+function money(amount) {
+  return `$${(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * Split an amount across weights, in cents, so the parts always add back up to the amount
+ */
+export function allocateProportionally(amount, weights) {
+  const totalCents = Math.round(amount * 100);
+  const weightSum = weights.reduce((sum, w) => sum + w, 0);
+  if (weights.length === 0) return [];
+  if (weightSum <= 0) {
+    return weights.map((w, i) => (i === weights.length - 1 ? totalCents : 0) / 100);
+  }
+
+  let allocated = 0;
+  return weights.map((weight, index) => {
+    if (index === weights.length - 1) return (totalCents - allocated) / 100;
+    const cents = Math.round(totalCents * weight / weightSum);
+    allocated += cents;
+    return cents / 100;
+  });
+}
+
+/**
+ * Customer view of the quote. Only visible addons are listed; hidden addon prices stay in the
+ * line price. Hidden job addons, job rule adjustments and the sales uplift are spread across
+ * the openings so the document adds up to the customer price. Promotions and the manager
+ * discount are listed as savings; fees and sales tax follow the price, and the payment schedule
+ * and each financing plan are quoted against the grand total.
+ * @returns {object} { lines, jobAddons, discounts, fees, taxes, paymentSchedule, financing, openingsSubtotal, jobAddonsSubtotal, price, total }
+ */
+export function buildProposalModel({ quote, quoteCalc, catalog = {}, allAddons = {}, financingPlans = [], calculateFinancing = null }) {
+  const products = catalog.products || {};
+  const lineItems = quote.lineItems || [];
+
+  const jobAddons = (quoteCalc.jobBasedAddons || []).filter(addon => !(allAddons[addon.id] && allAddons[addon.id].hiddenFromCustomer));
+  const hiddenJobTotal = (quoteCalc.jobBasedAddons || [])
+    .filter(addon => allAddons[addon.id] && allAddons[addon.id].hiddenFromCustomer)
+    .reduce((sum, addon) => sum + (addon.price || 0), 0);
+  const folded = hiddenJobTotal + (quoteCalc.jobRuleAdjustment || 0) + (quoteCalc.salesUplift || 0);
+  const foldedShares = allocateProportionally(folded, lineItems.map(item => item.lineItemParTotal));
+
+  const lines = lineItems.map((item, index) => {
+    const product = products[item.productId];
+    const assembly = item.assembly;
+    return {
+      number: index + 1,
+      roomLabel: item.roomLabel,
+      productLabel: assembly ? 'Mulled assembly' : product ? product.name : 'Custom product',
+      units: assembly ? describeAssemblyUnits(assembly, products) : '',
+      width: item.width,
+      height: item.height,
+      ui: item.ui,
+      frameColor: describeFrameColor(findFrameColor(catalog.colors, item.frameColor || 'white'), item.frameColor),
+      mulling: assembly
+        ? `${assembly.joints} mull joint${assembly.joints === 1 ? '' : 's'}`
+        : item.mullType ? (MULL_LABELS[item.mullType] || item.mullType) : '',
+      hingeSide: capitalize(item.hingeSide),
+      swing: item.swingType === 'inswing' ? 'Inswing' : item.swingType === 'outswing' ? 'Outswing' : capitalize(item.swingType),
+      productOptions: (item.appliedOptions || []).map(option => ({
+        label: (OPTION_KINDS.find(kind => kind.key === option.kind) || {}).label || option.kind,
+        value: describeAppliedOption(option)
+      })),
+      // Colour upcharges are in the price; the colour itself has its own row
+      options: (item.appliedAddons || []).filter(addon => !addon.hidden && !addon.frameColor).map(addon => addon.name),
+      vizDataUrl: item.vizDataUrl || '',
+      price: item.lineItemParTotal + (foldedShares[index] || 0)
+    };
+  });
+
+  const openingsSubtotal = lines.reduce((sum, line) => sum + line.price, 0);
+  const jobAddonsSubtotal = jobAddons.reduce((sum, addon) => sum + (addon.price || 0), 0);
+  // With no openings there is nothing to fold into, so the remainder is shown as its own line
+  const unallocated = lines.length === 0 ? folded : 0;
+
+  const discounts = (quoteCalc.promotions || []).map(promo => ({ name: promo.name, amount: promo.amount }));
+  if (quoteCalc.manualDiscount > 0) {
+    discounts.push({ name: 'Special discount', amount: quoteCalc.manualDiscount });
+  }
+
+  const total = quoteCalc.grandTotal ?? quoteCalc.finalPrice;
+  const financing = calculateFinancing
+    ? financingPlans
+      .map(plan => ({ name: plan.name, ...calculateFinancing(total, plan) }))
+      .filter(option => option.monthlyPayment)
+    : [];
+
+  return {
+    lines,
+    jobAddons,
+    discounts,
+    fees: quoteCalc.fees || [],
+    taxes: quoteCalc.taxes || [],
+    paymentSchedule: quoteCalc.paymentSchedule || [],
+    financing,
+    unallocated,
+    openingsSubtotal,
+    jobAddonsSubtotal,
+    price: quoteCalc.finalPrice,
+    total
+  };
+}
+
+function buildSpecRow(label, value) {
+  if (!value) return '';
+  return `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`;
+}
+
+function buildOpeningCard(line) {
+  return `
+    <div class="opening">
+      <div class="opening-header">
+        <div><span class="opening-number">${line.number}</span> ${escapeHtml(line.roomLabel)}</div>
+        <div class="opening-price">${money(line.price)}</div>
+      </div>
+      <div class="opening-body">
+        <div class="opening-drawing">
+          ${line.vizDataUrl ? `<img src="${line.vizDataUrl}" alt="${escapeHtml(line.roomLabel)} drawing">` : '<span class="muted">No drawing</span>'}
+        </div>
+        <table class="spec">
+          ${buildSpecRow('Product', line.productLabel)}
+          ${buildSpecRow('Units', line.units)}
+          ${buildSpecRow('Size', `${line.width}" W × ${line.height}" H`)}
+          ${buildSpecRow('Frame Color', line.frameColor)}
+          ${buildSpecRow('Mulling', line.mulling)}
+          ${buildSpecRow('Hinge Side', line.hingeSide)}
+          ${buildSpecRow('Swing', line.swing)}
+          ${line.productOptions.map(option => buildSpecRow(option.label, option.value)).join('')}
+          ${buildSpecRow('Options', line.options.join(', '))}
+        </table>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Build the full proposal document
+ * @param {object} params.quote - Current quote (customer fields + line items with vizDataUrl)
+ * @param {object} params.quoteCalc - Result of PricingEngine.calculateQuote
+ * @param {object} params.catalog - Pricing catalog the quote was priced from
+ * @param {object} params.company - Proposal settings (see PROPOSAL_DEFAULTS)
+ * @param {array} params.financingPlans - Enabled financing plans to quote monthly payments for
+ * @param {function} params.calculateFinancing - PricingEngine.calculateFinancing
+ * @param {object} params.acceptance - Signature from the signed version (version.acceptance), shown in place of the customer signature line
+ * @returns {string} Standalone HTML document
+ */
+export function buildProposalHtml({ quote, quoteCalc, catalog = {}, company = {}, financingPlans = [], calculateFinancing = null, acceptance = null }) {
+  const settings = { ...PROPOSAL_DEFAULTS, ...Object.fromEntries(Object.entries(company || {}).filter(([, v]) => v)) };
+  const model = buildProposalModel({ quote, quoteCalc, catalog, allAddons: catalog.addons || {}, financingPlans, calculateFinancing });
+  const quoteDate = quote.quoteDate ? new Date(`${quote.quoteDate}T00:00:00`).toLocaleDateString() : new Date().toLocaleDateString();
+  const contactLine = [settings.companyPhone, settings.companyEmail].filter(Boolean).map(escapeHtml).join(' • ');
+
+  const customerRows = [
+    ['Customer', [quote.customerName, quote.spouseName].filter(Boolean).join(' & ')],
+    ['Address', quote.address],
+    ['Phone', quote.phone],
+    ['Email', quote.email]
+  ].filter(([, value]) => value).map(([label, value]) => `
+    <div><span class="muted">${label}</span><br>${escapeHtml(value).replace(/\n/g, '<br>')}</div>
+  `).join('');
+
+  const jobAddonRows = model.jobAddons.map(addon => `
+    <tr><td>${escapeHtml(addon.name)}</td><td class="amount">${money(addon.price)}</td></tr>
+  `).join('');
+
+  const discountRows = model.discounts.map(discount => `
+    <tr class="saving"><td>${escapeHtml(discount.name)}</td><td class="amount">-${money(discount.amount)}</td></tr>
+  `).join('');
+
+  const hasTaxOrFees = model.fees.length > 0 || model.taxes.length > 0;
+  const taxAndFeeRows = hasTaxOrFees ? `
+    <tr class="subtotal"><td>Price</td><td class="amount">${money(model.price)}</td></tr>
+    ${model.fees.map(fee => `<tr><td>${escapeHtml(fee.name)}</td><td class="amount">${money(fee.amount)}</td></tr>`).join('')}
+    ${model.taxes.map(tax => `<tr><td>${escapeHtml(tax.name)} (${tax.rate}%)</td><td class="amount">${money(tax.amount)}</td></tr>`).join('')}
+  ` : '';
+
+  const paymentRows = model.paymentSchedule.map(payment => `
+    <tr><td>${escapeHtml(payment.label)} (${payment.percent}%)</td><td class="amount">${money(payment.amount)}</td></tr>
+  `).join('');
+
+  const financingRows = model.financing.map(option => `
+    <div>${escapeHtml(option.name)}: <strong>${money(option.monthlyPayment)}/mo</strong> for ${option.months} months at ${option.apr}% APR</div>
+  `).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Proposal ${escapeHtml(quote.id)} - ${escapeHtml(quote.customerName)}</title>
+  <style>
+    @page { size: letter; margin: 0.6in; }
+    * { box-sizing: border-box; }
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", "Helvetica Neue", sans-serif; color: #18181b; margin: 0; padding: 2rem; line-height: 1.45; font-size: 13px; }
+    .page { max-width: 8in; margin: 0 auto; }
+    .toolbar { max-width: 8in; margin: 0 auto 1rem; text-align: right; }
+    .toolbar button { background: #27272a; color: #fff; border: 0; border-radius: 6px; padding: 8px 16px; font-size: 13px; cursor: pointer; }
+    header { display: flex; justify-content: space-between; align-items: flex-start; border-bottom: 3px solid #27272a; padding-bottom: 1rem; margin-bottom: 1.25rem; }
+    .company-name { font-size: 22px; font-weight: 700; letter-spacing: -0.01em; }
+    .doc-title { text-align: right; }
+    .doc-title h1 { margin: 0; font-size: 18px; text-transform: uppercase; letter-spacing: 0.08em; }
+    .muted { color: #71717a; font-size: 11px; text-transform: uppercase; letter-spacing: 0.04em; }
+    .customer { display: grid; grid-template-columns: repeat(auto-fit, minmax(160px, 1fr)); gap: 12px; background: #fafafa; border: 1px solid #e4e4e7; border-radius: 6px; padding: 12px 16px; margin-bottom: 1.25rem; }
+    h2 { font-size: 13px; text-transform: uppercase; letter-spacing: 0.06em; margin: 1.5rem 0 0.75rem; }
+    .openings { display: grid; grid-template-columns: 1fr 1fr; gap: 12px; }
+    .opening { border: 1px solid #e4e4e7; border-radius: 6px; overflow: hidden; break-inside: avoid; page-break-inside: avoid; }
+    .opening-header { display: flex; justify-content: space-between; background: #fafafa; border-bottom: 1px solid #e4e4e7; padding: 8px 12px; font-weight: 600; }
+    .opening-number { display: inline-block; min-width: 20px; height: 20px; line-height: 20px; text-align: center; border-radius: 10px; background: #27272a; color: #fff; font-size: 11px; margin-right: 6px; }
+    .opening-body { display: flex; gap: 12px; padding: 12px; }
+    .opening-drawing { flex: 0 0 120px; display: flex; align-items: center; justify-content: center; }
+    .opening-drawing img { max-width: 120px; height: auto; }
+    .spec { border-collapse: collapse; font-size: 12px; flex: 1; }
+    .spec th { text-align: left; color: #71717a; font-weight: 500; padding: 2px 8px 2px 0; vertical-align: top; white-space: nowrap; }
+    .spec td { padding: 2px 0; }
+    .totals { width: 100%; border-collapse: collapse; margin-top: 0.5rem; }
+    .totals td { padding: 6px 0; border-bottom: 1px solid #e4e4e7; }
+    .totals .amount { text-align: right; white-space: nowrap; }
+    .totals .saving td { color: #16a34a; }
+    .totals .subtotal td { font-weight: 600; }
+    .financing { margin-top: 0.75rem; padding: 10px 12px; background: #f4f4f5; border-radius: 6px; }
+    .totals .grand td { border-bottom: 0; border-top: 2px solid #27272a; font-size: 16px; font-weight: 700; padding-top: 10px; }
+    .terms { font-size: 11px; color: #3f3f46; white-space: pre-wrap; break-inside: avoid; page-break-inside: avoid; }
+    .signatures { display: grid; grid-template-columns: 1fr 1fr; gap: 2rem 3rem; margin-top: 2.5rem; break-inside: avoid; page-break-inside: avoid; }
+    .signature-line { border-top: 1px solid #18181b; padding-top: 4px; margin-top: 2.5rem; }
+    .signature-image { display: block; height: 60px; margin-top: 0.5rem; }
+    .signature-image + .signature-line { margin-top: 0; }
+    @media print {
+      body { padding: 0; }
+      .toolbar { display: none; }
+    }
+  </style>
+</head>
+<body>
+  <div class="toolbar"><button onclick="window.print()">Print / Save as PDF</button></div>
+  <div class="page">
+    <header>
+      <div>
+        <div class="company-name">${escapeHtml(settings.companyName)}</div>
+        ${settings.companyAddress ? `<div>${escapeHtml(settings.companyAddress).replace(/\n/g, '<br>')}</div>` : ''}
+        ${contactLine ? `<div>${contactLine}</div>` : ''}
+      </div>
+      <div class="doc-title">
+        <h1>Proposal</h1>
+        <div>${escapeHtml(quote.id)}</div>
+        <div>${quoteDate}</div>
+      </div>
+    </header>
+
+    <section class="customer">${customerRows}</section>
+
+    <h2>Openings (${model.lines.length})</h2>
+    <div class="openings">
+      ${model.lines.map(buildOpeningCard).join('')}
+    </div>
+
+    <h2>Summary</h2>
+    <table class="totals">
+      <tr><td>Openings subtotal</td><td class="amount">${money(model.openingsSubtotal)}</td></tr>
+      ${jobAddonRows}
+      ${model.unallocated ? `<tr><td>Project services</td><td class="amount">${money(model.unallocated)}</td></tr>` : ''}
+      ${discountRows}
+      ${taxAndFeeRows}
+      <tr class="grand"><td>Total Investment</td><td class="amount">${money(model.total)}</td></tr>
+    </table>
+    ${paymentRows ? `<h2>Payment Schedule</h2><table class="totals">${paymentRows}</table>` : ''}
+    ${financingRows ? `<div class="financing"><div class="muted">Financing available</div>${financingRows}</div>` : ''}
+
+    <h2>Terms</h2>
+    <div class="terms">${escapeHtml(acceptance ? acceptance.terms : settings.terms)}</div>
+
+    <div class="signatures">
+      ${acceptance ? `
+      <div><img class="signature-image" src="${escapeHtml(acceptance.signatureDataUrl)}" alt="Customer signature"><div class="signature-line">Customer Signature — ${escapeHtml(acceptance.printedName)}</div></div>
+      <div><div class="signature-line">Date: ${escapeHtml(new Date(`${acceptance.signedDate}T00:00:00`).toLocaleDateString())}</div></div>` : `
+      <div><div class="signature-line">Customer Signature</div></div>
+      <div><div class="signature-line">Date</div></div>`}
+      ${quote.spouseName ? '<div><div class="signature-line">Co-Owner Signature</div></div><div><div class="signature-line">Date</div></div>' : ''}
+      <div><div class="signature-line">${escapeHtml(settings.companyName)} Representative</div></div>
+      <div><div class="signature-line">Date</div></div>
+    </div>
+  </div>
+</body>
+</html>`;
+}
+
+/**
+ * Open the proposal in a new tab for printing; downloads the HTML if pop-ups are blocked
+ */
+export function openProposal(html, filename) {
+  const proposalWindow = window.open('', '_blank');
+  if (proposalWindow) {
+    proposalWindow.document.open();
+    proposalWindow.document.write(html);
+    proposalWindow.document.close();
+    return;
+  }
+
+  const blob = new Blob([html], { type: 'text/html' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 100);
+}
@@ -0,0 +1,90 @@
+// /shared/quote_status_view.js
+// Status pills and the change-status dialog shared by the sales page and the quotes dashboard
+
+import { QUOTE_STATUSES, QuoteStatus } from '../quote_status.js';
+import { showModal, escapeHtml } from './ui_helpers.js';
+
+/**
+ * Coloured pill for a quote's current status
+ */
+export function quoteStatusPill(quote) {
+  const def = QuoteStatus.getDefinition(QuoteStatus.getStatus(quote));
+  const reason = QuoteStatus.getLostReason(quote);
+  return `<span class="status-pill" style="background:${def.color}; color:${def.textColor};"${reason ? ` title="${escapeHtml(reason)}"` : ''}>${def.label}</span>`;
+}
+
+/**
+ * Dialog to move a saved quote to another status, with its status history
+ * @param {object} quote - the saved quote
+ * @param {object} options - { versions (the quote's saved versions), onSave(updatedQuote), onError(message) }
+ */
+export function openQuoteStatusModal(quote, { versions = [], onSave, onError }) {
+  const current = QuoteStatus.getStatus(quote);
+  const latestVersion = versions[versions.length - 1];
+  const versionNumber = (versionId) => {
+    const index = versions.findIndex(v => v.id === versionId);
+    return index >= 0 ? `v${index + 1}` : '';
+  };
+
+  const history = (quote.statusHistory || []).slice().reverse().map(entry => `
+    <tr>
+      <td>${quoteStatusPill({ status: entry.status })}</td>
+      <td>${new Date(entry.at).toLocaleString()}</td>
+      <td>${versionNumber(entry.versionId)}</td>
+      <td>${escapeHtml([entry.reason, entry.note].filter(Boolean).join(' - '))}</td>
+    </tr>
+  `).join('');
+
+  const content = `
+    <div class="form-row">
+      <div class="form-group">
+        <label>Status</label>
+        <select id="quote-status-select" onchange="document.getElementById('quote-status-reason-group').style.display = this.selectedOptions[0].dataset.needsReason ? 'block' : 'none'">
+          ${QUOTE_STATUSES.map(def => `<option value="${def.value}" ${def.value === current ? 'selected' : ''} ${def.needsReason ? 'data-needs-reason="true"' : ''}>${def.label}</option>`).join('')}
+        </select>
+      </div>
+    </div>
+    <div class="form-row" id="quote-status-reason-group" style="display: ${QuoteStatus.getDefinition(current).needsReason ? 'block' : 'none'};">
+      <div class="form-group">
+        <label>Reason <span style="color:#dc2626;">*</span></label>
+        <input type="text" id="quote-status-reason" placeholder="e.g., Went with a competitor" value="${escapeHtml(QuoteStatus.getLostReason(quote))}">
+      </div>
+    </div>
+    <div class="form-row">
+      <div class="form-group">
+        <label>Note</label>
+        <input type="text" id="quote-status-note" placeholder="Optional">
+      </div>
+    </div>
+    <p style="font-size:13px; color: var(--text-secondary);">${latestVersion ? `Recorded against v${versions.length}, saved ${new Date(latestVersion.timestamp).toLocaleString()}.` : 'This quote has no saved versions yet.'}</p>
+    ${history ? `
+      <table>
+        <thead><tr><th>Status</th><th>Changed</th><th>Version</th><th>Reason / Note</th></tr></thead>
+        <tbody>${history}</tbody>
+      </table>
+    ` : ''}
+  `;
+
+  const modalId = showModal(`Status - ${escapeHtml(quote.customerName || 'Unnamed Quote')}`, content, [
+    {
+      label: 'Change Status',
+      type: 'primary',
+      keepOpen: true,
+      onclick: () => {
+        try {
+          const updated = QuoteStatus.changeStatus(quote, document.getElementById('quote-status-select').value, {
+            reason: document.getElementById('quote-status-reason').value,
+            note: document.getElementById('quote-status-note').value,
+            versionId: latestVersion ? latestVersion.id : null
+          });
+          onSave(updated);
+          document.getElementById(modalId).remove();
+        } catch (error) {
+          onError(error.message);
+        }
+      }
+    },
+    { label: 'Cancel', onclick: () => {} }
+  ], { maxWidth: '640px' });
+  return modalId;
+}
@@ -0,0 +1,242 @@
+// /shared/rule_schemas.js
+// Condition schemas for the admin rule builder - single source of truth
+
+export const NUMERIC_OPERATORS = [
+  { value: '>', label: 'greater than' },
+  { value: '>=', label: 'at least' },
+  { value: '<', label: 'less than' },
+  { value: '<=', label: 'at most' },
+  { value: '==', label: 'equals' },
+  { value: '!=', label: 'does not equal' }
+];
+
+export const MATCH_OPERATORS = [
+  { value: '==', label: 'is' }
+];
+
+export const CONDITION_TYPES = {
+  houseAge: {
+    label: 'House Age',
+    valueType: 'number',
+    unit: 'years',
+    operators: NUMERIC_OPERATORS,
+    appliesTo: ['line', 'job']
+  },
+  ui: {
+    label: 'United Inches',
+    valueType: 'number',
+    unit: 'UI',
+    operators: NUMERIC_OPERATORS,
+    appliesTo: ['line']
+  },
+  area: {
+    label: 'Area',
+    valueType: 'number',
+    unit: 'sq ft',
+    step: '0.01',
+    operators: NUMERIC_OPERATORS,
+    appliesTo: ['line']
+  },
+  productLine: {
+    label: 'Product Line',
+    valueType: 'catalog',
+    catalog: 'productLines',
+    operators: MATCH_OPERATORS,
+    appliesTo: ['line']
+  },
+  product: {
+    label: 'Product',
+    valueType: 'catalog',
+    catalog: 'products',
+    operators: MATCH_OPERATORS,
+    appliesTo: ['line']
+  },
+  addonSelected: {
+    label: 'Addon Selected',
+    valueType: 'catalog',
+    catalog: 'addons',
+    operators: MATCH_OPERATORS,
+    appliesTo: ['line', 'job']
+  }
+};
+
+export const GROUP_OPERATOR_OPTIONS = [
+  { value: 'AND', label: 'All of (AND)' },
+  { value: 'OR', label: 'Any of (OR)' },
+  { value: 'NOT', label: 'Not all of (NOT)' }
+];
+
+export const ACTION_SCHEMAS = {
+  addAddon: { label: 'Add addon', param: 'addonId', valueType: 'addon' },
+  removeAddon: { label: 'Remove addon', param: 'addonId', valueType: 'addon' },
+  blockAddon: { label: 'Block addon', param: 'addonId', valueType: 'addon' },
+  minimumPrice: { label: 'Set minimum price', param: 'amount', valueType: 'number', unit: '$', step: '0.01' },
+  surchargePercent: { label: 'Apply surcharge', param: 'percent', valueType: 'number', unit: '%', step: '0.1' },
+  warning: { label: 'Show warning', param: 'message', valueType: 'text' }
+};
+
+/**
+ * Condition types that can be used for a rule scope
+ */
+export function getConditionTypesFor(appliesTo) {
+  return Object.entries(CONDITION_TYPES)
+    .filter(([, def]) => def.appliesTo.includes(appliesTo))
+    .map(([value, def]) => ({ value, label: def.label }));
+}
+
+/**
+ * Creates a blank condition of the given type
+ */
+export function createCondition(type = 'houseAge') {
+  const def = CONDITION_TYPES[type] || CONDITION_TYPES.houseAge;
+  return {
+    id: `cond_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+    type,
+    operator: def.operators[0].value,
+    value: '',
+    enabled: true
+  };
+}
+
+/**
+ * Creates an empty condition group
+ */
+export function createConditionGroup(operator = 'AND') {
+  return {
+    id: `group_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+    type: 'group',
+    operator,
+    conditions: [],
+    enabled: true
+  };
+}
+
+/**
+ * Creates a blank action of the given type
+ */
+export function createAction(type = 'addAddon') {
+  const def = ACTION_SCHEMAS[type] || ACTION_SCHEMAS.addAddon;
+  return { type, [def.param]: '' };
+}
+
+/**
+ * Resolves catalog options for a catalog-backed condition value
+ */
+export function getCatalogOptions(def, catalog = {}) {
+  const items = Object.values(catalog[def.catalog] || {});
+  const archived = (item) => item.archived ? ' (archived)' : '';
+  if (def.catalog === 'products') {
+    return items.map(p => ({ value: p.id, label: `${p.productTypeCode} - ${p.name}${archived(p)}` }));
+  }
+  return items.map(item => ({ value: item.id, label: `${item.name}${archived(item)}` }));
+}
+
+/**
+ * Human readable summary of a condition, e.g. "House Age at least 40 years"
+ */
+export function describeCondition(condition, catalog = {}) {
+  const def = CONDITION_TYPES[condition.type];
+  if (!def) return `Unknown condition (${condition.type})`;
+
+  const operator = def.operators.find(op => op.value === condition.operator);
+  const operatorLabel = operator ? operator.label : condition.operator;
+
+  let valueLabel = condition.value === '' || condition.value === null || condition.value === undefined
+    ? '?'
+    : condition.value;
+  if (def.valueType === 'catalog') {
+    const option = getCatalogOptions(def, catalog).find(o => o.value === condition.value);
+    valueLabel = option ? option.label : `${valueLabel} (missing)`;
+  } else if (def.unit) {
+    valueLabel = `${valueLabel} ${def.unit}`;
+  }
+
+  return `${def.label} ${operatorLabel} ${valueLabel}`;
+}
+
+/**
+ * Human readable summary of a condition tree, joined by the group operator
+ */
+export function describeConditionTree(nodes = [], catalog = {}, operator = 'AND') {
+  const parts = nodes
+    .filter(node => node && node.enabled !== false)
+    .map(node => {
+      if (node.type !== 'group') return describeCondition(node, catalog);
+      const inner = describeConditionTree(node.conditions || [], catalog, node.operator === 'OR' ? 'OR' : 'AND');
+      if (!inner) return '';
+      return node.operator === 'NOT' ? `NOT (${inner})` : `(${inner})`;
+    })
+    .filter(Boolean);
+  return parts.join(` ${operator} `);
+}
+
+/**
+ * Human readable summary of an action, e.g. "Apply surcharge 10%"
+ */
+export function describeAction(action, catalog = {}) {
+  const def = ACTION_SCHEMAS[action.type];
+  if (!def) return `Unknown action (${action.type})`;
+  const value = action[def.param];
+  if (def.valueType === 'addon') {
+    const addon = (catalog.addons || {})[value];
+    return `${def.label} ${addon ? `${addon.name}${addon.archived ? ' (archived)' : ''}` : `${value || '?'} (missing)`}`;
+  }
+  if (def.valueType === 'text') return `${def.label}: "${value || ''}"`;
+  return def.unit === '$' ? `${def.label} $${value}` : `${def.label} ${value}${def.unit}`;
+}
+
+/**
+ * Validates an action, returns an error message or null
+ */
+export function validateAction(action) {
+  const def = ACTION_SCHEMAS[action.type];
+  if (!def) return `Unknown action type: ${action.type}`;
+  const value = action[def.param];
+  if (def.valueType === 'number') {
+    if (value === '' || value === null || value === undefined || isNaN(parseFloat(value))) {
+      return `${def.label}: enter a number`;
+    }
+  } else if (!value) {
+    return def.valueType === 'addon' ? `${def.label}: select an addon` : `${def.label}: enter a message`;
+  }
+  return null;
+}
+
+/**
+ * Validates a condition tree for a rule scope, returns an error message or null
+ */
+export function validateConditionTree(nodes = [], appliesTo = 'line') {
+  for (const node of nodes) {
+    if (!node || node.enabled === false) continue;
+    if (node.type === 'group') {
+      const error = validateConditionTree(node.conditions || [], appliesTo);
+      if (error) return error;
+      continue;
+    }
+    const error = validateCondition(node);
+    if (error) return error;
+    if (!CONDITION_TYPES[node.type].appliesTo.includes(appliesTo)) {
+      return `${CONDITION_TYPES[node.type].label} cannot be used in ${appliesTo === 'job' ? 'job' : 'line item'} rules`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validates a condition, returns an error message or null
+ */
+export function validateCondition(condition) {
+  const def = CONDITION_TYPES[condition.type];
+  if (!def) return `Unknown condition type: ${condition.type}`;
+  if (!def.operators.some(op => op.value === condition.operator)) {
+    return `${def.label}: invalid operator`;
+  }
+  if (def.valueType === 'number') {
+    if (condition.value === '' || isNaN(parseFloat(condition.value))) {
+      return `${def.label}: enter a number`;
+    }
+  } else if (!condition.value) {
+    return `${def.label}: select a value`;
+  }
+  return null;
+}
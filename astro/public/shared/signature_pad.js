@@ -0,0 +1,69 @@
+// /shared/signature_pad.js
+// Finger, stylus or mouse signature capture on a canvas
+
+/**
+ * Draw on a canvas with pointer events; sized to the canvas's displayed size for sharp lines
+ * @param {HTMLCanvasElement} canvas
+ * @returns {object} { isEmpty(), clear(), toDataURL() }
+ */
+export function attachSignaturePad(canvas, { lineWidth = 2.5, color = '#18181b' } = {}) {
+  const ratio = window.devicePixelRatio || 1;
+  const rect = canvas.getBoundingClientRect();
+  canvas.width = Math.round(rect.width * ratio);
+  canvas.height = Math.round(rect.height * ratio);
+  // Stop the page scrolling while the customer signs on a touch screen
+  canvas.style.touchAction = 'none';
+
+  const context = canvas.getContext('2d');
+  context.scale(ratio, ratio);
+  context.lineWidth = lineWidth;
+  context.lineCap = 'round';
+  context.lineJoin = 'round';
+  context.strokeStyle = color;
+  context.fillStyle = color;
+
+  let drawing = false;
+  let strokes = 0;
+  let last = null;
+
+  const pointAt = (event) => {
+    const bounds = canvas.getBoundingClientRect();
+    return { x: event.clientX - bounds.left, y: event.clientY - bounds.top };
+  };
+
+  canvas.addEventListener('pointerdown', (event) => {
+    event.preventDefault();
+    canvas.setPointerCapture(event.pointerId);
+    drawing = true;
+    strokes++;
+    last = pointAt(event);
+    // A tap leaves a dot
+    context.beginPath();
+    context.arc(last.x, last.y, lineWidth / 2, 0, Math.PI * 2);
+    context.fill();
+  });
+
+  canvas.addEventListener('pointermove', (event) => {
+    if (!drawing) return;
+    event.preventDefault();
+    const point = pointAt(event);
+    context.beginPath();
+    context.moveTo(last.x, last.y);
+    context.lineTo(point.x, point.y);
+    context.stroke();
+    last = point;
+  });
+
+  const stop = () => { drawing = false; };
+  canvas.addEventListener('pointerup', stop);
+  canvas.addEventListener('pointercancel', stop);
+
+  return {
+    isEmpty: () => strokes === 0,
+    clear: () => {
+      context.clearRect(0, 0, canvas.width, canvas.height);
+      strokes = 0;
+    },
+    toDataURL: () => canvas.toDataURL('image/png')
+  };
+}
@@ -31,7 +31,7 @@ export function showAlert(message, type = 'success', options = {}) {
   }, options.autoCloseMs || 5000);
 }
 
-export function showModal(title, content, buttons = []) {
+export function showModal(title, content, buttons = [], options = {}) {
   const modalId = `modal-${Date.now()}`;
   let buttonHtml = '';
   if (buttons.length === 0) {
@@ -45,7 +45,7 @@ export function showModal(title, content, buttons = []) {
   }
 
   const html = `<div style="position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.35); z-index: 1000; display: flex; align-items: center; justify-content: center; backdrop-filter: blur(2px);" id="${modalId}" onclick="if(event.target.id === '${modalId}') this.remove()">
-    <div style="background: white; padding: 1.5rem; border-radius: 8px; max-width: 500px; width: 90%; border: 1px solid rgba(0,0,0,0.08); box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 10px 10px -5px rgba(0, 0, 0, 0.04); max-height: 80vh; overflow-y: auto;">
+    <div style="background: white; padding: 1.5rem; border-radius: 8px; max-width: ${options.maxWidth || '500px'}; width: 90%; border: 1px solid rgba(0,0,0,0.08); box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 10px 10px -5px rgba(0, 0, 0, 0.04); max-height: 80vh; overflow-y: auto;">
       <h2 style="margin-top: 0; margin-bottom: 1rem;">${title}</h2>
       <div id="modal-content-${Date.now()}">${content}</div>
       <div style="display: flex; gap: 8px; margin-top: 1.5rem;">
@@ -76,3 +76,40 @@ export function showModal(title, content, buttons = []) {
 
   return modalId;
 }
+
+const SYNC_STATES = {
+  local: { label: 'This device only', color: '#71717a' },
+  synced: { label: 'Synced', color: '#16a34a' },
+  pending: { label: 'Saving to server', color: '#ca8a04' },
+  syncing: { label: 'Syncing', color: '#2563eb' },
+  offline: { label: 'Offline', color: '#71717a' },
+  error: { label: 'Sync error', color: '#dc2626' }
+};
+
+/**
+ * Show DataStorage.getSyncStatus() in a status pill
+ */
+export function renderSyncIndicator(element, status) {
+  if (!element) return;
+  const state = SYNC_STATES[status.state] || SYNC_STATES.local;
+  const parts = [state.label];
+  if (status.pending > 0) parts.push(`${status.pending} change${status.pending === 1 ? '' : 's'} waiting`);
+  if (status.conflicts > 0) parts.push(`${status.conflicts} conflict${status.conflicts === 1 ? '' : 's'}`);
+
+  element.innerHTML = `<span class="sync-dot" style="background:${status.conflicts > 0 ? '#dc2626' : state.color};"></span>${parts.join(' • ')}`;
+  element.title = status.error
+    || (status.state === 'offline' ? 'Changes are saved on this device and will sync when the connection returns' : '');
+}
+
+/**
+ * Escape text for HTML built in template strings (imported files, customer-entered text),
+ * including attribute values in single or double quotes
+ */
+export function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
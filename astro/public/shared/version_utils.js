@@ -1,6 +1,37 @@
 // /shared/version_utils.js
 // Version export/import utilities
 
+import { PRICING_MODELS, pickPricingFields, applyPricingFields, encodeUITiers, decodeUITiers, encodeSizeMatrix, decodeSizeMatrix } from './pricing_models.js';
+import { COST_MODELS, pickCostFields, getCostValue } from './cost_models.js';
+import { COLOR_PRICING_MODELS } from './frame_colors.js';
+import { encodeProductOptions, decodeProductOptions } from './product_options.js';
+
+// CSV sections in file order, with the header row written on export. Columns added after
+// Archived are read only when a row has them, so older files still import.
+const CSV_SECTIONS = [
+  { key: 'manufacturers', title: 'MANUFACTURERS', header: ['ID', 'Name', 'Cost Multiplier', 'Archived'] },
+  { key: 'productLines', title: 'PRODUCT LINES', header: ['ID', 'Manufacturer ID', 'Name', 'Archived'] },
+  {
+    key: 'products',
+    title: 'PRODUCTS',
+    header: ['ID', 'Product Line ID', 'Product Type', 'Type Code', 'Name', 'Pricing Model', 'UI Rate', 'Flat Price', 'Minimum UI', 'Maximum UI',
+      'Visualizer Type', 'UI Tiers', 'Size Matrix', 'Sq Ft Rate', 'Perimeter Rate', 'Cost Model', 'Cost Value', 'Archived',
+      'Allowed Addons', 'Options']
+  },
+  {
+    key: 'addons',
+    title: 'ADDONS',
+    header: ['ID', 'Name', 'Pricing Model', 'UI Rate', 'Flat Price', 'Exclusive Group', 'Mandatory', 'Hidden From Customer', 'Job Based',
+      'Allowed Product Types', 'Allowed Product Lines', 'Min Size', 'Max Size', 'Non Taxable', 'Shape Modifier', 'UI Tiers', 'Size Matrix',
+      'Sq Ft Rate', 'Perimeter Rate', 'Cost Model', 'Cost Value', 'Archived']
+  },
+  {
+    key: 'colors',
+    title: 'COLORS',
+    header: ['ID', 'Name', 'Hex', 'Interior Name', 'Interior Hex', 'Pricing Model', 'UI Rate', 'Flat Price', 'Allowed Product Lines', 'Archived']
+  }
+];
+
 /**
  * Export version as JSON
  */
@@ -11,205 +42,502 @@ export function exportAsJSON(version) {
 }
 
 /**
- * Export version as CSV
+ * Export version as CSV (RFC 4180; the byte order mark lets Excel read it as UTF-8).
+ * Unset numbers are written as blank cells and zero as 0, so they read back the same.
  */
 export function exportAsCSV(version) {
-  let csv = '';
-  
-  // Manufacturers
-  csv += 'MANUFACTURERS\n';
-  csv += 'ID,Name\n';
-  Object.values(version.manufacturers || {}).forEach(m => {
-    csv += `"${m.id}","${m.name}"\n`;
-  });
-  csv += '\n';
-  
-  // Product Lines
-  csv += 'PRODUCT LINES\n';
-  csv += 'ID,Manufacturer ID,Name\n';
-  Object.values(version.productLines || {}).forEach(pl => {
-    csv += `"${pl.id}","${pl.manufacturerId}","${pl.name}"\n`;
-  });
-  csv += '\n';
-  
-  // Products
-  csv += 'PRODUCTS\n';
-  csv += 'ID,Product Line ID,Product Type,Type Code,Name,Pricing Model,UI Rate,Flat Price,Minimum UI,Maximum UI\n';
-  Object.values(version.products || {}).forEach(p => {
-    const uiRate = p.uiRate || '';
-    const flatPrice = p.flatPrice || '';
-    const maxUI = p.maximumUI || '';
-    csv += `"${p.id}","${p.productLineId}","${p.productType}","${p.productTypeCode}","${p.name}","${p.pricingModel}","${uiRate}","${flatPrice}","${p.minimumUI}","${maxUI}"\n`;
-  });
-  csv += '\n';
-  
-  // Addons
-  csv += 'ADDONS\n';
-  csv += 'ID,Name,Pricing Model,UI Rate,Flat Price,Exclusive Group,Mandatory,Hidden From Customer,Job Based,Allowed Product Types,Allowed Product Lines,Min Size,Max Size\n';
-  Object.values(version.addons || {}).forEach(a => {
-    const uiRate = a.uiRate || '';
-    const flatPrice = a.flatPrice || '';
-    const exclusiveGroup = a.exclusiveGroup || '';
-    const minSize = a.minSize || '';
-    const maxSize = a.maxSize || '';
-    const productTypes = (a.allowedProductTypes || []).join('; ');
-    const productLines = (a.allowedProductLines || []).join('; ');
-    csv += `"${a.id}","${a.name}","${a.pricingModel}","${uiRate}","${flatPrice}","${exclusiveGroup}","${a.mandatory ? 'YES' : 'NO'}","${a.hiddenFromCustomer ? 'YES' : 'NO'}","${a.isJobBased ? 'YES' : 'NO'}","${productTypes}","${productLines}","${minSize}","${maxSize}"\n`;
+  const archived = (item) => item.archived ? 'YES' : 'NO';
+  const rowsFor = {
+    manufacturers: m => [m.id, m.name, m.costMultiplier, archived(m)],
+    productLines: pl => [pl.id, pl.manufacturerId, pl.name, archived(pl)],
+    products: p => [
+      p.id, p.productLineId, p.productType, p.productTypeCode, p.name, p.pricingModel, p.uiRate, p.flatPrice,
+      p.minimumUI, p.maximumUI, p.visualizerType, ...pricingCells(p), p.costModel, getCostValue(p), archived(p),
+      (p.allowedAddons || []).join('; '), encodeProductOptions(p.options)
+    ],
+    addons: a => [
+      a.id, a.name, a.pricingModel, a.uiRate, a.flatPrice, a.exclusiveGroup,
+      a.mandatory ? 'YES' : 'NO', a.hiddenFromCustomer ? 'YES' : 'NO', a.isJobBased ? 'YES' : 'NO',
+      (a.allowedProductTypes || []).join('; '), (a.allowedProductLines || []).join('; '), a.minSize, a.maxSize,
+      a.nonTaxable ? 'YES' : 'NO', a.shapeModifier, ...pricingCells(a), a.costModel, getCostValue(a), archived(a)
+    ],
+    colors: c => [
+      c.id, c.name, c.hex, c.interiorName, c.interiorHex, c.pricingModel, c.uiRate, c.flatPrice,
+      (c.allowedProductLines || []).join('; '), archived(c)
+    ]
+  };
+
+  const rows = [];
+  CSV_SECTIONS.forEach((section, index) => {
+    if (index > 0) rows.push([]);
+    rows.push([section.title], section.header);
+    Object.values(version[section.key] || {}).forEach(item => rows.push(rowsFor[section.key](item)));
   });
 
   const filename = `${version.name || version.id}.csv`;
-  downloadFile(csv, filename, 'text/csv');
+  downloadFile(`\uFEFF${formatCSV(rows)}`, filename, 'text/csv');
 }
 
 /**
  * Import version from JSON content
+ * @returns {object} { data: { manufacturers, productLines, products, addons, colors }, issues } - see validateCatalogData
  */
 export function importFromJSON(content) {
-  const versionData = JSON.parse(content);
-  
+  const versionData = JSON.parse(content.replace(/^\uFEFF/, ''));
+
   if (!versionData.id || !versionData.manufacturers) {
     throw new Error('Invalid version JSON format');
   }
-  
-  return {
+
+  const data = {
     manufacturers: versionData.manufacturers || {},
     productLines: versionData.productLines || {},
     products: versionData.products || {},
-    addons: versionData.addons || {}
+    addons: versionData.addons || {},
+    colors: versionData.colors || {}
   };
+  return { data, issues: validateCatalogData(data) };
 }
 
 /**
- * Import version from CSV content
+ * Import version from CSV content. Bad cells and rows are reported rather than thrown, so the
+ * whole file can be checked before anything is saved.
+ * @returns {object} { data, issues: [{ severity: 'error' | 'warning', section, id, line, message }] }
  */
 export function importFromCSV(content) {
-  const lines = content.trim().split('\n');
   const data = {
     manufacturers: {},
     productLines: {},
     products: {},
-    addons: {}
+    addons: {},
+    colors: {}
   };
-  
+  const issues = [];
+  const rowLines = {}; // `${section}:${id}` -> line, for reporting duplicates and catalog problems
+
   let currentSection = null;
-  
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
-    
-    // Section headers
-    if (line === 'MANUFACTURERS') {
-      currentSection = 'manufacturers';
-      i++; // skip column header
+  let skipHeader = false;
+
+  for (const { line, cells } of parseCSV(content)) {
+    const values = cells.map(cell => cell.trim());
+    if (values.every(value => value === '')) continue;
+
+    // Section headers, each followed by a column header row
+    const section = values.filter(value => value !== '').length === 1
+      ? CSV_SECTIONS.find(s => s.title === values[0])
+      : null;
+    if (section) {
+      currentSection = section.key;
+      skipHeader = true;
       continue;
-    } else if (line === 'PRODUCT LINES') {
-      currentSection = 'productLines';
-      i++;
+    }
+    if (skipHeader) {
+      skipHeader = false;
       continue;
-    } else if (line === 'PRODUCTS') {
-      currentSection = 'products';
-      i++;
+    }
+
+    const report = (message, severity = 'error') => issues.push({ severity, section: currentSection, id: values[0], line, message });
+    if (!currentSection) {
+      report('Row is not inside a section (MANUFACTURERS, PRODUCT LINES, PRODUCTS, ADDONS or COLORS)');
       continue;
-    } else if (line === 'ADDONS') {
-      currentSection = 'addons';
-      i++;
+    }
+
+    const id = values[0];
+    if (!id) {
+      report('Row has no ID');
       continue;
-    } else if (line === '') {
+    }
+    if (data[currentSection][id]) {
+      report(`Duplicate ID (first used on line ${rowLines[`${currentSection}:${id}`]})`);
       continue;
     }
-    
-    // Parse CSV line
-    const values = parseCSVLine(line);
-    
-    // Parse based on section
-    if (currentSection === 'manufacturers' && values.length >= 2) {
-      const id = values[0];
-      const name = values[1];
-      data.manufacturers[id] = { id, name };
-    } else if (currentSection === 'productLines' && values.length >= 3) {
-      const id = values[0];
-      const manufacturerId = values[1];
-      const name = values[2];
-      data.productLines[id] = { id, manufacturerId, name };
-    } else if (currentSection === 'products' && values.length >= 5) {
+    rowLines[`${currentSection}:${id}`] = line;
+
+    const number = (value, label) => readNumber(value, label, report);
+    const list = (value) => value ? value.split(';').map(v => v.trim()).filter(v => v) : null;
+    const flag = (value) => (value || '').toUpperCase() === 'YES';
+    // Archived is the last column of every section; files exported before it existed have none
+    const archivedColumn = { manufacturers: 3, productLines: 3, products: 17, addons: 21, colors: 9 }[currentSection];
+
+    if (currentSection === 'manufacturers') {
+      data.manufacturers[id] = { id, name: values[1] || '' };
+      const costMultiplier = number(values[2], 'Cost Multiplier');
+      if (costMultiplier !== null) data.manufacturers[id].costMultiplier = costMultiplier;
+    } else if (currentSection === 'productLines') {
+      data.productLines[id] = { id, manufacturerId: values[1] || '', name: values[2] || '' };
+    } else if (currentSection === 'products') {
       const product = {
-        id: values[0],
-        productLineId: values[1],
-        productType: values[2],
-        productTypeCode: values[3],
-        name: values[4],
-        pricingModel: values[5],
-        minimumUI: parseInt(values[8]) || 0,
-        maximumUI: values[9] ? parseInt(values[9]) : null
+        id,
+        productLineId: values[1] || '',
+        productType: values[2] || '',
+        productTypeCode: values[3] || '',
+        name: values[4] || '',
+        pricingModel: values[5] || '',
+        minimumUI: number(values[8], 'Minimum UI') || 0,
+        maximumUI: number(values[9], 'Maximum UI'),
+        visualizerType: values[10] || null
       };
-      if (product.pricingModel === 'UI' && values[6]) {
-        product.uiRate = parseFloat(values[6]);
-      }
-      if (product.pricingModel === 'FLAT' && values[7]) {
-        product.flatPrice = parseFloat(values[7]);
+      Object.assign(product, readPricingCells(product, values[6], values[7], values.slice(11, 15), report));
+      Object.assign(product, readCostCells(values[15], values[16], report));
+      if (values.length > 18) product.allowedAddons = list(values[18]) || [];
+      try {
+        const options = decodeProductOptions(values[19]);
+        if (options) product.options = options;
+      } catch (error) {
+        report(error.message);
       }
-      data.products[product.id] = product;
-    } else if (currentSection === 'addons' && values.length >= 4) {
+      data.products[id] = product;
+    } else if (currentSection === 'addons') {
       const addon = {
-        id: values[0],
-        name: values[1],
-        pricingModel: values[2],
+        id,
+        name: values[1] || '',
+        pricingModel: values[2] || '',
         exclusiveGroup: values[5] || null,
-        mandatory: values[6].toUpperCase() === 'YES',
-        hiddenFromCustomer: values[7].toUpperCase() === 'YES',
-        isJobBased: values[8].toUpperCase() === 'YES',
-        minSize: values[11] ? parseFloat(values[11]) : null,
-        maxSize: values[12] ? parseFloat(values[12]) : null
+        mandatory: flag(values[6]),
+        hiddenFromCustomer: flag(values[7]),
+        isJobBased: flag(values[8]),
+        nonTaxable: flag(values[13]),
+        shapeModifier: values[14] || null,
+        minSize: number(values[11], 'Min Size'),
+        maxSize: number(values[12], 'Max Size')
       };
-      
-      if (addon.pricingModel === 'UI' && values[3]) {
-        addon.uiRate = parseFloat(values[3]);
-      }
-      if (addon.pricingModel === 'FLAT' && values[4]) {
-        addon.flatPrice = parseFloat(values[4]);
-      }
-      
-      addon.allowedProductTypes = values[9] 
-        ? values[9].split(';').map(t => t.trim()).filter(t => t) 
-        : null;
-      addon.allowedProductLines = values[10]
-        ? values[10].split(';').map(l => l.trim()).filter(l => l)
-        : null;
-      
-      data.addons[addon.id] = addon;
+      Object.assign(addon, readPricingCells(addon, values[3], values[4], values.slice(15, 19), report));
+      Object.assign(addon, readCostCells(values[19], values[20], report));
+      addon.allowedProductTypes = list(values[9]);
+      addon.allowedProductLines = list(values[10]);
+      data.addons[id] = addon;
+    } else if (currentSection === 'colors') {
+      const color = {
+        id,
+        name: values[1] || '',
+        hex: values[2] || '',
+        interiorName: values[3] || null,
+        interiorHex: values[4] || null,
+        pricingModel: values[5] || null,
+        allowedProductLines: list(values[8])
+      };
+      const uiRate = number(values[6], 'UI Rate');
+      const flatPrice = number(values[7], 'Flat Price');
+      if (color.pricingModel === 'UI' && uiRate !== null) color.uiRate = uiRate;
+      if (color.pricingModel === 'FLAT' && flatPrice !== null) color.flatPrice = flatPrice;
+      data.colors[id] = color;
     }
+    if (flag(values[archivedColumn])) data[currentSection][id].archived = true;
   }
-  
-  return data;
+
+  // Catalog-wide checks, pointed back at the row each item came from
+  validateCatalogData(data).forEach(issue => issues.push({ ...issue, line: rowLines[`${issue.section}:${issue.id}`] || null }));
+
+  return { data, issues };
+}
+
+// ============================================================================
+// MANUFACTURER PRICE SHEETS
+// ============================================================================
+
+// Product fields a price sheet column can be mapped to
+export const PRICE_SHEET_FIELDS = [
+  { key: 'name', label: 'Name', required: true },
+  { key: 'productTypeCode', label: 'Type Code', required: true },
+  { key: 'uiRate', label: 'UI Rate' },
+  { key: 'flatPrice', label: 'Flat Price' },
+  { key: 'minimumUI', label: 'Minimum UI' },
+  { key: 'maximumUI', label: 'Maximum UI' }
+];
+
+/**
+ * Merge a manufacturer's price sheet into a copy of the catalog. Rows update the product with the
+ * same name in the template's product line, or add a new product there; everything else is kept.
+ * Products with a UI rate are priced by UI, the rest at their flat price.
+ * @param {array} rows - worksheet rows of cell values (see readXlsxWorkbook)
+ * @param {object} template - { productLineId, productType, headerRow (1-based), columns: { [field]: header text } }
+ * @param {object} catalog - { manufacturers, productLines, products, addons, colors }
+ * @returns {object} { data, issues } - as importFromCSV, with line being the worksheet row number
+ */
+export function importFromPriceSheet(rows, template, catalog) {
+  const data = JSON.parse(JSON.stringify({
+    manufacturers: catalog.manufacturers || {},
+    productLines: catalog.productLines || {},
+    products: catalog.products || {},
+    addons: catalog.addons || {},
+    colors: catalog.colors || {}
+  }));
+  const issues = [];
+  const rowLines = {}; // product id -> worksheet row
+  const headerRow = parseInt(template.headerRow, 10) || 1;
+  const fail = (message, line = headerRow) => {
+    issues.push({ severity: 'error', section: 'products', id: '', line, message });
+    return { data, issues };
+  };
+
+  if (!data.productLines[template.productLineId]) return fail('Choose the product line to import into', null);
+  if (!template.productType) return fail('Choose the product type for new products', null);
+
+  const header = (rows[headerRow - 1] || []).map(cell => String(cell).trim().toLowerCase());
+  const columns = {};
+  for (const field of PRICE_SHEET_FIELDS) {
+    const heading = String(template.columns?.[field.key] || '').trim();
+    if (!heading) {
+      if (field.required) return fail(`Map a column to ${field.label}`);
+      continue;
+    }
+    columns[field.key] = header.indexOf(heading.toLowerCase());
+    if (columns[field.key] < 0) return fail(`Column "${heading}" (${field.label}) is not in row ${headerRow}`);
+  }
+  if (columns.uiRate === undefined && columns.flatPrice === undefined) return fail('Map a column to UI Rate or Flat Price');
+
+  const lineProducts = Object.values(data.products).filter(p => p.productLineId === template.productLineId);
+  const seen = {}; // lower-case name -> worksheet row
+
+  rows.slice(headerRow).forEach((cells, index) => {
+    const line = headerRow + index + 1;
+    const cell = (key) => columns[key] === undefined ? '' : String(cells[columns[key]] ?? '').trim();
+    if (Object.keys(columns).every(key => cell(key) === '')) return;
+
+    const name = cell('name');
+    const report = (message) => issues.push({ severity: 'error', section: 'products', id: name, line, message });
+    if (!name) return report('Name is missing');
+    if (seen[name.toLowerCase()]) return report(`Duplicate name (first used on row ${seen[name.toLowerCase()]})`);
+    seen[name.toLowerCase()] = line;
+
+    const productTypeCode = cell('productTypeCode');
+    if (!productTypeCode) report('Type Code is missing');
+    const uiRate = readNumber(cell('uiRate'), 'UI Rate', report);
+    const flatPrice = readNumber(cell('flatPrice'), 'Flat Price', report);
+    if (uiRate === null && flatPrice === null) report('Row has no UI rate or flat price');
+    const pricingModel = uiRate !== null ? 'UI' : 'FLAT';
+
+    let product = lineProducts.find(p => String(p.name || '').toLowerCase() === name.toLowerCase());
+    if (!product) {
+      const id = uniqueProductId(name, data.products);
+      product = data.products[id] = {
+        id, productType: template.productType, productLineId: template.productLineId, name,
+        minimumUI: 0, maximumUI: null, visualizerType: null, allowedAddons: []
+      };
+    }
+    product.productTypeCode = productTypeCode;
+    applyPricingFields(product, pickPricingFields(pricingModel, { uiRate, flatPrice }));
+    if (columns.minimumUI !== undefined) product.minimumUI = readNumber(cell('minimumUI'), 'Minimum UI', report) || 0;
+    if (columns.maximumUI !== undefined) product.maximumUI = readNumber(cell('maximumUI'), 'Maximum UI', report);
+    rowLines[product.id] = line;
+  });
+
+  // Only report catalog problems with the products this sheet touched
+  validateCatalogData(data)
+    .filter(issue => issue.section === 'products' && rowLines[issue.id])
+    .forEach(issue => issues.push({ ...issue, line: rowLines[issue.id] }));
+
+  return { data, issues };
+}
+
+/**
+ * Check an imported catalog before it is saved: names, pricing models, numbers and references
+ * between sections. Errors must be fixed; warnings (e.g. an addon limited to a missing product line)
+ * can be imported as they are.
+ * @returns {array} [{ severity: 'error' | 'warning', section, id, message }]
+ */
+export function validateCatalogData(data) {
+  const issues = [];
+  const report = (section, id, message, severity = 'error') => issues.push({ severity, section, id, message });
+  const pricingModels = PRICING_MODELS.map(model => model.value);
+  const costModels = COST_MODELS.map(model => model.value);
+  const colorModels = COLOR_PRICING_MODELS.map(model => model.value);
+  const isBadNumber = (value) => value !== undefined && value !== null && (typeof value !== 'number' || !isFinite(value));
+
+  const checkItem = (section, item, key) => {
+    if (item.id !== key) report(section, key, `ID "${item.id}" does not match its key "${key}"`);
+    if (!String(item.name || '').trim()) report(section, key, 'Name is missing');
+  };
+  const checkNumbers = (section, item, fields) => fields.forEach(([field, label]) => {
+    if (isBadNumber(item[field])) report(section, item.id, `${label} "${item[field]}" is not a number`);
+    else if (item[field] < 0) report(section, item.id, `${label} cannot be negative`);
+  });
+  const checkRefs = (section, item, field, target, label, severity = 'error') => {
+    const ids = Array.isArray(item[field]) ? item[field] : [item[field]];
+    ids.filter(ref => !data[target][ref])
+      .forEach(ref => report(section, item.id, ref ? `${label} "${ref}" does not exist` : `${label} is missing`, severity));
+  };
+  const priceFields = [['uiRate', 'UI Rate'], ['flatPrice', 'Flat Price'], ['sqftRate', 'Sq Ft Rate'], ['perimeterRate', 'Perimeter Rate'],
+    ['costUIRate', 'Cost per UI'], ['costFlatPrice', 'Flat Cost'], ['costMultiplier', 'Cost Multiplier']];
+  const checkPricing = (section, item) => {
+    if (!pricingModels.includes(item.pricingModel)) report(section, item.id, `Unknown pricing model "${item.pricingModel || ''}"`);
+    if (!costModels.includes(item.costModel || '')) report(section, item.id, `Unknown cost model "${item.costModel}"`);
+    checkNumbers(section, item, priceFields);
+  };
+
+  Object.entries(data.manufacturers).forEach(([key, m]) => {
+    checkItem('manufacturers', m, key);
+    checkNumbers('manufacturers', m, [['costMultiplier', 'Cost Multiplier']]);
+  });
+  Object.entries(data.productLines).forEach(([key, line]) => {
+    checkItem('productLines', line, key);
+    checkRefs('productLines', line, 'manufacturerId', 'manufacturers', 'Manufacturer');
+  });
+  Object.entries(data.products).forEach(([key, product]) => {
+    checkItem('products', product, key);
+    checkRefs('products', product, 'productLineId', 'productLines', 'Product line');
+    checkPricing('products', product);
+    checkNumbers('products', product, [['minimumUI', 'Minimum UI'], ['maximumUI', 'Maximum UI']]);
+    if (product.allowedAddons) checkRefs('products', product, 'allowedAddons', 'addons', 'Allowed addon', 'warning');
+  });
+  Object.entries(data.addons).forEach(([key, addon]) => {
+    checkItem('addons', addon, key);
+    checkPricing('addons', addon);
+    checkNumbers('addons', addon, [['minSize', 'Min Size'], ['maxSize', 'Max Size']]);
+    if (addon.allowedProductLines) checkRefs('addons', addon, 'allowedProductLines', 'productLines', 'Allowed product line', 'warning');
+  });
+  Object.entries(data.colors).forEach(([key, color]) => {
+    checkItem('colors', color, key);
+    if (!colorModels.includes(color.pricingModel || '')) report('colors', color.id, `Unknown pricing model "${color.pricingModel}"`);
+    checkNumbers('colors', color, [['uiRate', 'UI Rate'], ['flatPrice', 'Flat Price']]);
+    if (color.allowedProductLines) checkRefs('colors', color, 'allowedProductLines', 'productLines', 'Allowed product line', 'warning');
+  });
+
+  return issues;
 }
 
+// ============================================================================
+// CSV READER / WRITER (RFC 4180)
+// ============================================================================
+
 /**
- * Parse a single CSV line handling quoted values
+ * Split CSV text into rows of cells. Handles quoted cells with commas, doubled quotes and line
+ * breaks, CRLF or LF line endings and a leading byte order mark.
+ * @returns {array} [{ line, cells }] - line is the 1-based line the row starts on
  */
-function parseCSVLine(line) {
-  const values = [];
-  let current = '';
+export function parseCSV(text) {
+  const rows = [];
+  const input = text.replace(/^\uFEFF/, '');
+  let cells = [];
+  let cell = '';
   let inQuotes = false;
-  
-  for (let j = 0; j < line.length; j++) {
-    const char = line[j];
-    if (char === '"') {
-      inQuotes = !inQuotes;
-    } else if (char === ',' && !inQuotes) {
-      values.push(current.trim());
-      current = '';
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    cells.push(cell);
+    rows.push({ line: rowLine, cells });
+    cells = [];
+    cell = '';
+    rowLine = line;
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      line++;
+      endRow();
     } else {
-      current += char;
+      cell += char;
     }
   }
-  values.push(current.trim());
-  
-  return values.map(v => v.replace(/"/g, ''));
+  if (inQuotes) throw new Error(`Unclosed quote in the row starting on line ${rowLine}`);
+  if (cell !== '' || cells.length > 0) endRow();
+
+  return rows;
+}
+
+/**
+ * Join rows of cells into CSV text, quoting every cell and doubling embedded quotes
+ */
+export function formatCSV(rows) {
+  return rows
+    .map(row => row.map(value => `"${String(value ?? '').replace(/"/g, '""')}"`).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+/**
+ * UI Tiers, Size Matrix, Sq Ft Rate and Perimeter Rate cells for a product or addon row
+ */
+function pricingCells(item) {
+  return [encodeUITiers(item.uiTiers), encodeSizeMatrix(item.sizeMatrix), item.sqftRate, item.perimeterRate];
+}
+
+/**
+ * A number cell: null when blank, reported (and null) when it isn't a number
+ */
+function readNumber(value, label, report) {
+  const text = String(value ?? '').trim();
+  if (text === '') return null;
+  const number = Number(text.replace(/[$,]/g, ''));
+  if (!isFinite(number)) {
+    report(`${label} "${text}" is not a number`);
+    return null;
+  }
+  return number;
+}
+
+/**
+ * Pricing fields for an imported row's model. Rows exported before tiers and matrices
+ * existed simply have no cells for them. Blank rates stay unset, as they always have.
+ */
+function readPricingCells(item, uiRate, flatPrice, [uiTiers, sizeMatrix, sqftRate, perimeterRate] = [], report) {
+  const source = {
+    uiRate: readNumber(uiRate, 'UI Rate', report),
+    flatPrice: readNumber(flatPrice, 'Flat Price', report),
+    sqftRate: readNumber(sqftRate, 'Sq Ft Rate', report),
+    perimeterRate: readNumber(perimeterRate, 'Perimeter Rate', report)
+  };
+  try {
+    if (item.pricingModel === 'UI_TIERED') source.uiTiers = decodeUITiers(uiTiers);
+    if (item.pricingModel === 'SIZE_MATRIX') source.sizeMatrix = decodeSizeMatrix(sizeMatrix);
+  } catch (error) {
+    report(error.message);
+  }
+  const picked = pickPricingFields(item.pricingModel, source);
+  Object.keys(picked).forEach(key => {
+    if (key !== 'pricingModel' && (source[key] === null || source[key] === undefined)) delete picked[key];
+  });
+  return picked;
+}
+
+/**
+ * Dealer cost fields for an imported row (blank model = the manufacturer's multiplier)
+ */
+function readCostCells(costModel, costValue, report) {
+  if (!COST_MODELS.some(model => model.value === (costModel || ''))) {
+    report(`Unknown cost model "${costModel}"`);
+    return {};
+  }
+  const value = readNumber(costValue, 'Cost Value', report);
+  try {
+    return pickCostFields(costModel || '', value ?? '');
+  } catch (error) {
+    report(error.message);
+    return {};
+  }
+}
+
+/**
+ * A product id from its name, like the ones added in the admin page, numbered when taken
+ */
+function uniqueProductId(name, products) {
+  const base = `prod_${name.toLowerCase().trim().replace(/[^\w\s-]/g, '').replace(/\s+/g, '_').replace(/_+/g, '_').substring(0, 20)}`;
+  let id = base;
+  for (let n = 2; products[id]; n++) id = `${base}_${n}`;
+  return id;
 }
 
 /**
  * Trigger file download in browser
  */
-function downloadFile(content, filename, mimeType) {
+export function downloadFile(content, filename, mimeType) {
   const blob = new Blob([content], { type: mimeType });
   const url = URL.createObjectURL(blob);
   const link = document.createElement('a');
@@ -218,9 +546,9 @@ function downloadFile(content, filename, mimeType) {
   link.style.display = 'none';
   document.body.appendChild(link);
   link.click();
-  
+
   setTimeout(() => {
     document.body.removeChild(link);
     URL.revokeObjectURL(url);
   }, 100);
-}
\ No newline at end of file
+}
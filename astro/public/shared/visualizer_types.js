@@ -0,0 +1,93 @@
+// /shared/visualizer_types.js
+// Which drawing the sales page visualizer uses for a product, and how addons reshape it
+
+// Drawing types understood by the visualizer. '' means "work it out from the code/name" (legacy data).
+export const VISUALIZER_TYPES = [
+  { value: '', label: 'Auto (from code / name)' },
+  { value: 'single', label: 'Single Hung' },
+  { value: 'double', label: 'Double Hung' },
+  { value: 'slider', label: 'Slider' },
+  { value: 'casement', label: 'Casement' },
+  { value: 'awning', label: 'Awning' },
+  { value: 'fixed', label: 'Fixed / Picture' },
+  { value: 'door', label: 'Door / Plain Frame' }
+];
+
+// Addon shape modifiers. They only reshape hung windows (single/double).
+export const SHAPE_MODIFIERS = [
+  { value: '', label: 'Auto (from name)' },
+  { value: 'none', label: 'None' },
+  { value: 'oriel', label: 'Oriel (60/40)' },
+  { value: 'eyebrow', label: 'Eyebrow' },
+  { value: 'eyebrow-legs', label: 'Eyebrow with Legs' }
+];
+
+const RESHAPEABLE_TYPES = ['single', 'double'];
+
+const isKnown = (options, value) => !!value && options.some(option => option.value === value);
+
+/**
+ * Legacy guess from the product code, name and product line name
+ */
+export function guessVisualizerType(product, productLine) {
+  if (!product) return 'door';
+  const code = (product.productTypeCode || '').toUpperCase();
+  const name = (product.name || '').toUpperCase();
+  const lineName = (productLine && productLine.name ? productLine.name : '').toUpperCase();
+  const haystack = `${code} ${name} ${lineName}`;
+
+  const contains = (s) => haystack.includes(s);
+
+  if (contains('DOOR') || code === 'DR' || code.startsWith('DR') || code === 'PD') return 'door';
+  if (contains('SLIDER') || code === 'SL' || code.startsWith('SL')) return 'slider';
+  if (contains('DOUBLE') || code === 'DH' || code.startsWith('DH')) return 'double';
+  if (contains('SINGLE') || code === 'SH' || code.startsWith('SH')) return 'single';
+  if (contains('CASE') || contains('CAS') || code === 'CS' || code.startsWith('CA')) return 'casement';
+  if (contains('AWNING') || code === 'AW' || code.startsWith('AW')) return 'awning';
+  if (contains('PICTURE') || contains('FIX') || contains('FX') || code === 'PW' || code === 'FX') return 'fixed';
+  if (contains('BAY') || contains('BOW')) return 'fixed';
+
+  // Default: basic rectangle with no internal markings (just dimensions)
+  return 'door';
+}
+
+/**
+ * Legacy guess from the addon name
+ */
+export function guessShapeModifier(addon) {
+  const name = (addon && addon.name ? addon.name : '').toLowerCase();
+  if (name.includes('eyebrow') && name.includes('leg')) return 'eyebrow-legs';
+  if (name.includes('eyebrow')) return 'eyebrow';
+  if (name.includes('oriel')) return 'oriel';
+  return null;
+}
+
+/**
+ * Drawing type for a product: its visualizerType, else the legacy guess
+ */
+export function resolveVisualizerType(product, productLine) {
+  if (product && isKnown(VISUALIZER_TYPES, product.visualizerType)) return product.visualizerType;
+  return guessVisualizerType(product, productLine);
+}
+
+/**
+ * Shape an addon applies: its shapeModifier ('none' = explicitly nothing), else the legacy guess
+ */
+export function resolveShapeModifier(addon) {
+  if (!addon) return null;
+  if (addon.shapeModifier === 'none') return null;
+  if (isKnown(SHAPE_MODIFIERS, addon.shapeModifier)) return addon.shapeModifier;
+  return guessShapeModifier(addon);
+}
+
+/**
+ * Drawing type after selected addons are applied; the first addon with a shape wins
+ */
+export function applyShapeModifiers(baseType, addons = []) {
+  if (!RESHAPEABLE_TYPES.includes(baseType)) return baseType;
+  for (const addon of addons) {
+    const modifier = resolveShapeModifier(addon);
+    if (modifier) return modifier;
+  }
+  return baseType;
+}
@@ -0,0 +1,155 @@
+// /shared/xlsx_reader.js
+// Reads the cell values of an Excel (.xlsx) workbook in the browser, for manufacturer price sheet imports
+
+// Workbooks written by other tools sometimes prefix the spreadsheet namespace, so match any
+const ANY_NS = '*';
+
+/**
+ * Every worksheet in a workbook, in tab order
+ * @param {ArrayBuffer} buffer - the .xlsx file contents
+ * @returns {Promise<array>} [{ name, rows }] - rows are arrays of cell values (strings and numbers, '' when empty)
+ */
+export async function readXlsxWorkbook(buffer) {
+  const entries = readZipEntries(buffer);
+  const readXml = async (path) => {
+    const entry = entries[path];
+    if (!entry) return null;
+    const text = new TextDecoder().decode(await inflateEntry(buffer, entry));
+    return new DOMParser().parseFromString(text, 'application/xml');
+  };
+
+  const workbook = await readXml('xl/workbook.xml');
+  if (!workbook) throw new Error('This file is not an Excel workbook (.xlsx)');
+
+  const relationships = {};
+  const rels = await readXml('xl/_rels/workbook.xml.rels');
+  if (rels) {
+    Array.from(rels.getElementsByTagNameNS(ANY_NS, 'Relationship')).forEach(rel => {
+      const target = rel.getAttribute('Target').replace(/^\//, '');
+      relationships[rel.getAttribute('Id')] = target.startsWith('xl/') ? target : `xl/${target}`;
+    });
+  }
+
+  const sharedStringsXml = await readXml('xl/sharedStrings.xml');
+  const sharedStrings = sharedStringsXml
+    ? Array.from(sharedStringsXml.getElementsByTagNameNS(ANY_NS, 'si')).map(readText)
+    : [];
+
+  const sheets = [];
+  for (const sheet of Array.from(workbook.getElementsByTagNameNS(ANY_NS, 'sheet'))) {
+    const relationshipId = Array.from(sheet.attributes).find(attr => attr.localName === 'id' && attr.prefix)?.value;
+    const path = relationships[relationshipId] || `xl/worksheets/sheet${sheets.length + 1}.xml`;
+    const sheetXml = await readXml(path);
+    if (!sheetXml) continue;
+    sheets.push({ name: sheet.getAttribute('name'), rows: readSheetRows(sheetXml, sharedStrings) });
+  }
+  if (sheets.length === 0) throw new Error('The workbook has no worksheets');
+  return sheets;
+}
+
+/**
+ * Column letters for a 0-based column index, e.g. 0 -> "A", 27 -> "AB"
+ */
+export function columnLetter(index) {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+// ============================================================================
+// WORKSHEETS
+// ============================================================================
+
+function readSheetRows(sheetXml, sharedStrings) {
+  const rows = [];
+  Array.from(sheetXml.getElementsByTagNameNS(ANY_NS, 'row')).forEach(rowEl => {
+    const rowNumber = parseInt(rowEl.getAttribute('r'), 10);
+    const rowIndex = rowNumber ? rowNumber - 1 : rows.length;
+    const row = rows[rowIndex] = rows[rowIndex] || [];
+    Array.from(rowEl.getElementsByTagNameNS(ANY_NS, 'c')).forEach(cellEl => {
+      const ref = cellEl.getAttribute('r');
+      const columnIndex = ref ? columnIndexOf(ref) : row.length;
+      row[columnIndex] = readCell(cellEl, sharedStrings);
+    });
+  });
+  // Fill the gaps left by empty rows and cells, which the file leaves out
+  return Array.from(rows, row => Array.from(row || [], value => value ?? ''));
+}
+
+function readCell(cellEl, sharedStrings) {
+  const type = cellEl.getAttribute('t');
+  if (type === 'inlineStr') {
+    const inline = cellEl.getElementsByTagNameNS(ANY_NS, 'is')[0];
+    return inline ? readText(inline) : '';
+  }
+  const valueEl = cellEl.getElementsByTagNameNS(ANY_NS, 'v')[0];
+  if (!valueEl) return '';
+  const value = valueEl.textContent;
+  if (type === 's') return sharedStrings[parseInt(value, 10)] ?? '';
+  if (type === 'str' || type === 'e') return value;
+  if (type === 'b') return value === '1' ? 'TRUE' : 'FALSE';
+  const number = Number(value);
+  return value !== '' && isFinite(number) ? number : value;
+}
+
+// Plain or rich text: the <t> runs joined, leaving out phonetic hints
+function readText(element) {
+  return Array.from(element.getElementsByTagNameNS(ANY_NS, 't'))
+    .filter(t => t.parentNode.localName !== 'rPh')
+    .map(t => t.textContent)
+    .join('');
+}
+
+function columnIndexOf(ref) {
+  const letters = ref.match(/^[A-Z]+/i)[0].toUpperCase();
+  return letters.split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+// ============================================================================
+// ZIP CONTAINER
+// ============================================================================
+
+/**
+ * Files in the zip, from its central directory: path -> { method, offset, compressedSize }
+ */
+function readZipEntries(buffer) {
+  const view = new DataView(buffer);
+  let end = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw new Error('This file is not an Excel workbook (.xlsx)');
+
+  const entries = {};
+  const count = view.getUint16(end + 10, true);
+  let position = view.getUint32(end + 16, true);
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(position, true) !== 0x02014b50) throw new Error('The workbook file is damaged');
+    const nameLength = view.getUint16(position + 28, true);
+    const extraLength = view.getUint16(position + 30, true);
+    const commentLength = view.getUint16(position + 32, true);
+    const path = new TextDecoder().decode(new Uint8Array(buffer, position + 46, nameLength));
+    entries[path] = {
+      method: view.getUint16(position + 10, true),
+      compressedSize: view.getUint32(position + 20, true),
+      offset: view.getUint32(position + 42, true)
+    };
+    position += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+async function inflateEntry(buffer, entry) {
+  const view = new DataView(buffer);
+  const start = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+  const data = new Uint8Array(buffer, start, entry.compressedSize);
+  if (entry.method === 0) return data;
+  if (entry.method !== 8) throw new Error('The workbook uses an unsupported compression method');
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
@@ -0,0 +1,563 @@
+/**
+ * STORAGE BACKENDS - where DataStorage keeps its data
+ *
+ * Every backend has the same shape:
+ *   { name, load(), refresh(), read(key, defaultValue), write(key, value), flush(), getStatus() }
+ * Reads and writes are synchronous so the pages work the same on any backend.
+ * The HTTP backend keeps an in-memory copy loaded from the server and sends
+ * writes to the REST endpoints in the background, in order. The copy and the
+ * queue of unsent writes are saved in IndexedDB so it keeps working offline.
+ */
+
+import { OfflineStore } from './offline_store.js';
+
+const RETRY_INTERVAL_MS = 30000;
+
+/**
+ * Browser-only storage (the original behaviour)
+ */
+export const LocalStorageBackend = {
+  name: 'local',
+
+  async load() {},
+
+  async refresh() {},
+
+  read(key, defaultValue = null) {
+    try {
+      const data = localStorage.getItem(key);
+      return data ? JSON.parse(data) : defaultValue;
+    } catch (error) {
+      console.error(`Error reading ${key}:`, error);
+      return defaultValue;
+    }
+  },
+
+  write(key, value) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+      return true;
+    } catch (error) {
+      console.error(`Error writing ${key}:`, error);
+      return false;
+    }
+  },
+
+  async flush() {},
+
+  getStatus() {
+    return { state: 'local', pending: 0, conflicts: 0, error: null };
+  }
+};
+
+/**
+ * Ids whose JSON differs between two keyed collections
+ */
+function diffById(before = {}, after = {}) {
+  return {
+    changed: Object.keys(after).filter(id => JSON.stringify(before[id]) !== JSON.stringify(after[id])),
+    removed: Object.keys(before).filter(id => !(id in after))
+  };
+}
+
+function indexById(list = []) {
+  const byId = {};
+  list.forEach(item => { byId[item.id] = item; });
+  return byId;
+}
+
+/**
+ * Server-backed storage (see server/storage_server.js for the endpoints)
+ *
+ * Writes go into an outbox that is sent in order whenever the server is reachable.
+ * Quote saves carry the server revision they were based on; if another device saved
+ * the quote in the meantime the server's record is kept, the rep's save stays in the
+ * quote's version history (versions are immutable, so both sides' versions are kept)
+ * and the quote is flagged with `syncConflict` until the rep resolves it.
+ *
+ * Accounts are not written through the outbox: signing in, saving and deleting users go
+ * straight to the server, which hashes passwords and checks each write against the role of
+ * the session token passed to setAuthToken. Once the server has accounts it only shares the
+ * catalog and pricing versions until someone signs in; quotes, customers and users load after.
+ *
+ * @param {string} baseUrl - e.g. 'http://localhost:8787'
+ * @param {object} keys - DataStorage.KEYS
+ * @param {function} onError - Called with an Error when the server rejects a write
+ * @param {function} onStatus - Called with getStatus() whenever the sync state changes
+ * @param {object} offlineStore - Persistent key/value store (defaults to IndexedDB)
+ */
+export function createHttpBackend({ baseUrl, keys, onError = () => {}, onStatus = () => {}, offlineStore = OfflineStore }) {
+  const root = baseUrl.replace(/\/+$/, '');
+  const catalogSections = {
+    [keys.MANUFACTURERS]: 'manufacturers',
+    [keys.PRODUCT_LINES]: 'productLines',
+    [keys.PRODUCTS]: 'products',
+    [keys.ADDONS]: 'addons',
+    [keys.COLORS]: 'colors',
+    [keys.GLOBAL_SETTINGS]: 'settings'
+  };
+
+  let cache = {};
+  let outbox = []; // [{ method, path, body, quoteId }]
+  let revisions = {}; // quote id -> last revision seen from the server
+  let conflicts = {}; // quote id -> { detectedAt, localVersionId, serverRevision }
+  let online = true;
+  let syncing = null;
+  let lastError = null;
+  let retryTimer = null;
+  let authToken = null;
+  let locked = false; // The server has accounts, so data and writes need a session
+
+  // ---- Persistence (failures only cost offline support, so they are logged, not thrown)
+
+  function persist(key, value) {
+    offlineStore.set(key, value).catch(error => console.warn(`Offline copy of ${key} not saved:`, error));
+  }
+
+  function persistCache(key) {
+    persist(`cache:${key}`, cache[key]);
+  }
+
+  function persistQueue() {
+    persist('outbox', outbox);
+    persist('revisions', revisions);
+    persist('conflicts', conflicts);
+    persist('locked', locked);
+  }
+
+  async function loadSnapshot() {
+    const entries = await Promise.all(Object.values(keys).map(async key => [key, await offlineStore.get(`cache:${key}`)]));
+    const saved = entries.filter(([, value]) => value !== undefined);
+    if (saved.length === 0) return null;
+    const snapshot = {};
+    saved.forEach(([key, value]) => { snapshot[key] = value; });
+    return snapshot;
+  }
+
+  // ---- Status
+
+  function getStatus() {
+    let state = 'synced';
+    if (syncing) state = 'syncing';
+    else if (!online) state = 'offline';
+    else if (lastError) state = 'error';
+    else if (outbox.length > 0) state = 'pending';
+    return {
+      state,
+      pending: outbox.length,
+      conflicts: Object.keys(conflicts).length,
+      error: lastError ? lastError.message : null
+    };
+  }
+
+  function notify() {
+    onStatus(getStatus());
+  }
+
+  // ---- HTTP
+
+  async function request(method, path, body, extraHeaders = {}) {
+    const headers = authToken ? { Authorization: `Bearer ${authToken}`, ...extraHeaders } : extraHeaders;
+    let response;
+    try {
+      response = await fetch(`${root}/api${path}`, {
+        method,
+        headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+    } catch (cause) {
+      const error = new Error(`Server unreachable (${cause.message})`);
+      error.offline = true;
+      throw error;
+    }
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      const error = new Error(`${method} ${path} failed (${response.status})${data.error ? `: ${data.error}` : ''}`);
+      error.status = response.status;
+      error.data = data;
+      throw error;
+    }
+    return response.status === 204 ? null : response.json();
+  }
+
+  // ---- Outbox
+
+  function enqueue(op) {
+    // A later save of the same quote or catalog section replaces the queued one
+    // (never the head of the queue while it is being sent)
+    const queued = op.method === 'PUT'
+      ? outbox.find((o, index) => (!syncing || index > 0) && o.method === 'PUT' && o.path === op.path)
+      : null;
+    if (queued) {
+      queued.body = op.body;
+    } else {
+      outbox.push(op);
+    }
+    persistQueue();
+    notify();
+    if (online) sync();
+  }
+
+  function withoutSyncFields(quote) {
+    const { syncConflict, revision, ...rest } = quote;
+    return rest;
+  }
+
+  // Turn a whole-collection write into the matching endpoint calls
+  function push(key, before, after) {
+    if (catalogSections[key]) {
+      enqueue({ method: 'PUT', path: `/catalog/${catalogSections[key]}`, body: after });
+    } else if (key === keys.QUOTES) {
+      const { changed, removed } = diffById(before || {}, after || {});
+      changed.forEach(id => enqueue({
+        method: 'PUT',
+        path: `/quotes/${encodeURIComponent(id)}`,
+        body: withoutSyncFields(after[id]),
+        quoteId: id
+      }));
+      removed.forEach(id => enqueue({ method: 'DELETE', path: `/quotes/${encodeURIComponent(id)}` }));
+    } else if (key === keys.CUSTOMERS) {
+      const { changed, removed } = diffById(before || {}, after || {});
+      changed.forEach(id => enqueue({ method: 'PUT', path: `/customers/${encodeURIComponent(id)}`, body: after[id] }));
+      removed.forEach(id => enqueue({ method: 'DELETE', path: `/customers/${encodeURIComponent(id)}` }));
+    } else if (key === keys.AUDIT_LOG) {
+      // The audit log is append-only: only new entries are sent
+      const known = new Set((before || []).map(entry => entry.id));
+      (after || []).filter(entry => !known.has(entry.id)).forEach(entry => enqueue({ method: 'POST', path: '/audit-log', body: entry }));
+    } else if (key === keys.QUOTE_VERSIONS) {
+      // Versions are immutable on the server: only new ones are sent, never a rewritten history
+      const previous = before || {};
+      Object.entries(after || {}).forEach(([quoteId, versions]) => {
+        const known = new Set((previous[quoteId] || []).map(version => version.id));
+        versions.filter(version => !known.has(version.id)).forEach(version => enqueue({ method: 'POST', path: '/quote-versions', body: version }));
+      });
+      Object.keys(previous)
+        .filter(quoteId => !(quoteId in (after || {})))
+        .forEach(quoteId => enqueue({ method: 'DELETE', path: `/quote-versions/${encodeURIComponent(quoteId)}` }));
+    } else if (key === keys.PRICING_VERSIONS) {
+      // Published versions are immutable on the server: only new ones are sent
+      const oldById = indexById(before || []);
+      const newById = indexById(after || []);
+      const { changed, removed } = diffById(oldById, newById);
+      changed.filter(id => !oldById[id]).forEach(id => enqueue({ method: 'POST', path: '/pricing-versions', body: newById[id] }));
+      removed.forEach(id => enqueue({ method: 'DELETE', path: `/pricing-versions/${encodeURIComponent(id)}` }));
+    } else if (key === keys.CURRENT_VERSION) {
+      enqueue({ method: 'PUT', path: '/pricing-versions/current', body: { versionId: after } });
+    }
+  }
+
+  function setCachedQuote(quoteId, quote) {
+    cache[keys.QUOTES] = { ...(cache[keys.QUOTES] || {}), [quoteId]: quote };
+    persistCache(keys.QUOTES);
+  }
+
+  // Another device saved the quote first: keep their record, point the rep at their own version
+  function recordConflict(op, current) {
+    const versions = (cache[keys.QUOTE_VERSIONS] || {})[op.quoteId] || [];
+    const localVersion = versions[versions.length - 1];
+    conflicts[op.quoteId] = {
+      detectedAt: new Date().toISOString(),
+      localVersionId: localVersion ? localVersion.id : null,
+      serverRevision: current.revision
+    };
+    revisions[op.quoteId] = current.revision;
+    setCachedQuote(op.quoteId, { ...current, syncConflict: conflicts[op.quoteId] });
+    // Later saves of the same quote were made on top of the losing copy; sending them would overwrite theirs
+    outbox = outbox.filter((queued, index) => index === 0 || queued.quoteId !== op.quoteId);
+  }
+
+  async function sendNext() {
+    const op = outbox[0];
+    // The revision this device last saw, taken at send time: an earlier save of the same quote
+    // still in flight when this one was queued has moved it on since
+    const baseRevision = op.quoteId ? revisions[op.quoteId] : undefined;
+    const headers = baseRevision !== null && baseRevision !== undefined
+      ? { 'If-Match': String(baseRevision) }
+      : {};
+    try {
+      const result = await request(op.method, op.path, op.body, headers);
+      if (op.quoteId && result) {
+        revisions[op.quoteId] = result.revision;
+        delete conflicts[op.quoteId];
+        const cached = (cache[keys.QUOTES] || {})[op.quoteId];
+        if (cached) setCachedQuote(op.quoteId, withoutSyncFields(cached));
+      }
+    } catch (error) {
+      // Signed out or the session expired: keep the write until the user signs in again
+      if (error.offline || error.status >= 500 || error.status === 401) throw error;
+      if (error.status === 409 && op.quoteId && error.data.current) {
+        recordConflict(op, error.data.current);
+      } else {
+        // Rejected for good (bad data); drop it so the rest of the queue can go through
+        console.error('Storage write rejected:', error);
+        onError(error);
+      }
+    }
+    outbox.shift();
+    persistQueue();
+  }
+
+  function sync() {
+    if (syncing) return syncing;
+    syncing = (async () => {
+      try {
+        while (outbox.length > 0) {
+          await sendNext();
+        }
+        online = true;
+        lastError = null;
+      } catch (error) {
+        online = !error.offline;
+        lastError = error.offline ? null : error;
+        if (!error.offline) onError(error);
+      }
+    })().finally(() => {
+      syncing = null;
+      notify();
+    });
+    notify();
+    return syncing;
+  }
+
+  function startRetrying() {
+    if (retryTimer || typeof window === 'undefined') return;
+    window.addEventListener('online', () => { online = true; sync(); });
+    window.addEventListener('offline', () => { online = false; notify(); });
+    retryTimer = setInterval(() => {
+      if (outbox.length > 0 && !syncing && !(lastError && lastError.status === 401)) sync();
+    }, RETRY_INTERVAL_MS);
+  }
+
+  // ---- Loading
+
+  // Withheld until someone signs in (and the audit log from roles without audit.view)
+  function requestPrivate(path) {
+    return request('GET', path).catch(error => {
+      if (error.status === 401 || error.status === 403) return null;
+      throw error;
+    });
+  }
+
+  async function fetchAll() {
+    const [health, catalog, quotes, quoteVersions, customers, users, auditLog, pricing] = await Promise.all([
+      request('GET', '/health'),
+      request('GET', '/catalog'),
+      requestPrivate('/quotes'),
+      requestPrivate('/quote-versions'),
+      requestPrivate('/customers'),
+      requestPrivate('/users'),
+      requestPrivate('/audit-log'),
+      request('GET', '/pricing-versions')
+    ]);
+    locked = Boolean(health.locked);
+
+    const next = {};
+    Object.entries(catalogSections).forEach(([key, section]) => {
+      if (catalog[section] !== undefined && catalog[section] !== null) next[key] = catalog[section];
+    });
+    next[keys.QUOTES] = {};
+    Object.values(quotes || {}).forEach(quote => {
+      revisions[quote.id] = quote.revision;
+      next[keys.QUOTES][quote.id] = conflicts[quote.id] ? { ...quote, syncConflict: conflicts[quote.id] } : quote;
+    });
+    next[keys.QUOTE_VERSIONS] = quoteVersions || {};
+    next[keys.CUSTOMERS] = customers || {};
+    next[keys.USERS] = users || {};
+    next[keys.AUDIT_LOG] = auditLog || [];
+    next[keys.PRICING_VERSIONS] = pricing.versions || [];
+    next[keys.CURRENT_VERSION] = pricing.currentVersionId || null;
+    return next;
+  }
+
+  // Replace the in-memory copy with the server's, unless there are writes still to send
+  async function pull() {
+    await sync();
+    if (outbox.length > 0) return false;
+    cache = await fetchAll();
+    Object.keys(cache).forEach(persistCache);
+    persistQueue();
+    return true;
+  }
+
+  function setCachedUser(userId, user) {
+    const users = { ...(cache[keys.USERS] || {}) };
+    if (user) users[userId] = user;
+    else delete users[userId];
+    cache[keys.USERS] = users;
+    persistCache(keys.USERS);
+  }
+
+  // Account changes need the server there and then; its reason for refusing is the message
+  async function accountRequest(method, path, body) {
+    try {
+      return await request(method, path, body);
+    } catch (error) {
+      if (error.offline) throw new Error('Connect to the server to change accounts');
+      throw error.data && error.data.error ? new Error(error.data.error) : error;
+    }
+  }
+
+  return {
+    name: 'http',
+    baseUrl: root,
+
+    async load() {
+      try {
+        outbox = (await offlineStore.get('outbox')) || [];
+        revisions = (await offlineStore.get('revisions')) || {};
+        conflicts = (await offlineStore.get('conflicts')) || {};
+        locked = Boolean(await offlineStore.get('locked'));
+      } catch (error) {
+        console.warn('Offline store unavailable:', error);
+      }
+
+      try {
+        if (!(await pull())) throw new Error('Unsent changes are waiting for the server');
+      } catch (error) {
+        // Offline (or unsynced changes): start from the copy saved on this device
+        const snapshot = await loadSnapshot().catch(() => null);
+        if (!snapshot) throw error;
+        cache = snapshot;
+        if (error.offline) online = false;
+      }
+      startRetrying();
+      notify();
+    },
+
+    // Send this device's changes, then pick up changes from other devices
+    async refresh() {
+      try {
+        await pull();
+      } catch (error) {
+        if (!error.offline) throw error;
+        online = false;
+      }
+      notify();
+    },
+
+    read(key, defaultValue = null) {
+      return key in cache && cache[key] !== undefined && cache[key] !== null
+        ? JSON.parse(JSON.stringify(cache[key]))
+        : defaultValue;
+    },
+
+    write(key, value) {
+      const before = cache[key];
+      cache[key] = JSON.parse(JSON.stringify(value));
+      persistCache(key);
+      push(key, before, cache[key]);
+      return true;
+    },
+
+    async flush() {
+      await sync();
+    },
+
+    getStatus,
+
+    /**
+     * Accept the server's copy of a conflicted quote as it is
+     */
+    resolveConflict(quoteId) {
+      delete conflicts[quoteId];
+      const cached = (cache[keys.QUOTES] || {})[quoteId];
+      if (cached) setCachedQuote(quoteId, withoutSyncFields(cached));
+      persistQueue();
+      notify();
+    },
+
+    isLocked() {
+      return locked;
+    },
+
+    /**
+     * Send this token with every request (null to stop). Writes held back because the
+     * session had expired are sent again.
+     */
+    setAuthToken(token) {
+      authToken = token || null;
+      if (authToken && outbox.length > 0) sync();
+    },
+
+    /**
+     * @returns {object|null} { token, userId, user }, or null for a wrong username or password
+     */
+    async signIn(username, password) {
+      let result;
+      try {
+        result = await request('POST', '/session', { username, password });
+      } catch (error) {
+        if (error.status === 401) return null;
+        throw error.offline ? new Error('Connect to the server to sign in') : error;
+      }
+      this.setAuthToken(result.token);
+      return { token: result.token, userId: result.user.id, user: result.user };
+    },
+
+    /**
+     * The user a saved session belongs to, or null once the server no longer accepts it.
+     * Offline the saved user is trusted; the server checks the token again when writes are sent.
+     */
+    async resumeSession({ token, userId }) {
+      authToken = token;
+      try {
+        const { user } = await request('GET', '/session');
+        this.setAuthToken(token);
+        return user;
+      } catch (error) {
+        if (!error.offline) {
+          authToken = null;
+          if (error.status === 401) return null;
+          throw error;
+        }
+        const user = (cache[keys.USERS] || {})[userId];
+        return user && !user.disabled ? user : null;
+      }
+    },
+
+    async signOut() {
+      if (authToken) await request('DELETE', '/session').catch(error => console.warn('Sign out not sent:', error));
+      authToken = null;
+    },
+
+    /**
+     * Create or update an account on the server (which hashes the password)
+     * @param {object} fields - { name, username, role, disabled, password }
+     * @param {object} existing - the user being edited (null for a new user)
+     */
+    async saveUser(fields, existing = null) {
+      const userId = existing ? existing.id : `user_${Date.now()}`;
+      const user = await accountRequest('PUT', `/users/${encodeURIComponent(userId)}`, fields);
+      setCachedUser(user.id, user);
+      return user;
+    },
+
+    async deleteUser(userId) {
+      await accountRequest('DELETE', `/users/${encodeURIComponent(userId)}`);
+      setCachedUser(userId, null);
+    },
+
+    /**
+     * Approval for a price past the rep's limits, checked and signed by the server for the
+     * user signed in now (the approver)
+     */
+    async approveQuoteLimits(quote) {
+      try {
+        return await request('POST', '/quote-approvals', { quote });
+      } catch (error) {
+        if (error.offline) throw new Error('Connect to the server to approve prices');
+        throw error.data && error.data.error ? new Error(error.data.error) : error;
+      }
+    },
+
+    /**
+     * Replace everything on the server (used to move a browser's data onto the server).
+     * The server keeps its own accounts and audit log.
+     */
+    async importAll(data) {
+      await sync();
+      await request('POST', '/import', data);
+      cache = await fetchAll();
+    }
+  };
+}
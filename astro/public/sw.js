@@ -0,0 +1,97 @@
+/**
+ * SERVICE WORKER - lets the quote page load without a connection
+ *
+ * Pages and the /public modules are fetched from the network when possible (so a deploy
+ * shows up on the next load) and served from the cache when offline. Astro's hashed
+ * /_astro/ assets never change, so they are served from the cache first.
+ * Requests to the storage server are left alone; storage_backends.js handles those.
+ */
+
+const CACHE_NAME = 'quoting-v1';
+
+// Add new modules here so they are available offline before their first use
+const PRECACHE_URLS = [
+  '/',
+  '/admin',
+  '/quotes',
+  '/customers',
+  '/styles/shared.css',
+  '/favicon.svg',
+  '/pricing_engine.js',
+  '/rules_engine.js',
+  '/data_storage.js',
+  '/storage_backends.js',
+  '/offline_store.js',
+  '/quote_pricing.js',
+  '/quote_history.js',
+  '/catalog_diff.js',
+  '/catalog_integrity.js',
+  '/quote_status.js',
+  '/customer_records.js',
+  '/quote_acceptance.js',
+  '/manufacturer_orders.js',
+  '/content_hash.js',
+  '/date_utils.js',
+  '/access_control.js',
+  '/shared/ui_helpers.js',
+  '/shared/admin_schemas.js',
+  '/shared/rule_schemas.js',
+  '/shared/version_utils.js',
+  '/shared/proposal_renderer.js',
+  '/shared/visualizer_types.js',
+  '/shared/product_options.js',
+  '/shared/frame_colors.js',
+  '/shared/pricing_models.js',
+  '/shared/cost_models.js',
+  '/shared/xlsx_reader.js',
+  '/shared/quote_status_view.js',
+  '/shared/signature_pad.js',
+  '/shared/manufacturer_orders_view.js',
+  '/shared/auth_session.js'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) cache.put(request, response.clone());
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  event.respondWith(url.pathname.startsWith('/_astro/') ? cacheFirst(request) : networkFirst(request));
+});
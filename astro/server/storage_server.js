@@ -0,0 +1,574 @@
+/**
+ * STORAGE SERVER - shared persistence for the quoting app
+ * Plain Node (no dependencies), data kept in one JSON file.
+ *
+ *   npm run server                      -> http://localhost:8787
+ *   PORT=9000 DATA_FILE=/srv/quotes.json npm run server
+ *   CORS_ORIGIN=https://quotes.example.com npm run server   -> that site may call the API too
+ *
+ * Without CORS_ORIGIN (a comma-separated list of origins) only pages served from the server's
+ * own origin, e.g. behind the same reverse proxy, can call it.
+ *
+ * Once the first user exists, requests need a session: POST /api/session returns a token that
+ * is sent back as "Authorization: Bearer <token>", and each write checks the caller's role
+ * (see PERMISSIONS in access_control.js). Quote prices past the caller's uplift and discount
+ * limits need an approval signed here by a manager (POST /api/quote-approvals). Only health,
+ * the catalog and pricing versions can be read without signing in, so pages can load them
+ * first. Password hashes never leave the server, and audit entries are stamped with the caller
+ * and the server's clock.
+ *
+ * Endpoints (all JSON):
+ *   GET    /api/health                       { ok, locked, ... }
+ *   POST   /api/session                      { username, password } -> { token, expiresAt, user }
+ *   GET    /api/session                      the signed-in user (401 if the token is not valid)
+ *   DELETE /api/session                      sign out
+ *   GET    /api/catalog                      { manufacturers, productLines, products, addons, colors, settings }
+ *   PUT    /api/catalog/:section             replace one section
+ *   GET    /api/quotes                       { [id]: quote }
+ *   GET    /api/quotes/:id
+ *   PUT    /api/quotes/:id                   If-Match: <revision> rejects stale saves with 409 { error, current };
+ *                                            a signed quote's acceptance can only move to a newer signed version
+ *   DELETE /api/quotes/:id                   needs quotes.delete
+ *   POST   /api/quote-approvals              { quote } -> approval signed for the signed-in approver
+ *   GET    /api/quote-versions               { [quoteId]: [version] }
+ *   GET    /api/quote-versions/:quoteId
+ *   POST   /api/quote-versions               append a version (versions are immutable: there is no PUT)
+ *   DELETE /api/quote-versions/:quoteId      drop a quote's whole history (needs quotes.delete)
+ *   GET    /api/customers                    { [id]: customer }
+ *   PUT    /api/customers/:id
+ *   DELETE /api/customers/:id
+ *   GET    /api/users                        { [id]: user } without salts and password hashes
+ *   PUT    /api/users/:id                    { name, username, role, disabled, password } (password hashed here)
+ *   DELETE /api/users/:id
+ *   GET    /api/audit-log                    [entry], oldest first
+ *   POST   /api/audit-log                    append an entry (entries are never changed or removed)
+ *   GET    /api/pricing-versions             { versions, currentVersionId }
+ *   POST   /api/pricing-versions             publish a version (published versions are immutable: there is no PUT)
+ *   PUT    /api/pricing-versions/current     { versionId }
+ *   DELETE /api/pricing-versions/:id
+ *   POST   /api/import                       replace everything except users and the audit log (DataStorage.exportAll format)
+ */
+
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { AccessControl, SESSION_HOURS } from '../public/access_control.js';
+import { QuoteAcceptance } from '../public/quote_acceptance.js';
+import { QuotePricing } from '../public/quote_pricing.js';
+
+const PORT = parseInt(process.env.PORT) || 8787;
+const DATA_FILE = process.env.DATA_FILE || path.join(path.dirname(fileURLToPath(import.meta.url)), 'data', 'store.json');
+const MAX_BODY_BYTES = 25 * 1024 * 1024; // Quotes carry drawing images
+const CORS_ORIGINS = (process.env.CORS_ORIGIN || '').split(',').map(origin => origin.trim().replace(/\/+$/, '')).filter(Boolean);
+
+const CATALOG_SECTIONS = ['manufacturers', 'productLines', 'products', 'addons', 'colors', 'settings'];
+
+class HttpError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// ============================================================================
+// FILE STORE
+// ============================================================================
+
+// Sections start out null (not {}) so the first client to connect seeds the defaults
+function emptyStore() {
+  return {
+    catalog: { manufacturers: null, productLines: null, products: null, addons: null, colors: null, settings: null },
+    quotes: {},
+    quoteVersions: {},
+    customers: {},
+    users: {},
+    auditLog: [],
+    pricingVersions: [],
+    currentVersionId: null,
+    approvalSecret: null // Signs quote limit approvals; never sent to clients
+  };
+}
+
+function loadStore() {
+  try {
+    return { ...emptyStore(), ...JSON.parse(fs.readFileSync(DATA_FILE, 'utf8')) };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Could not read ${DATA_FILE}:`, error.message);
+      process.exit(1);
+    }
+    return emptyStore();
+  }
+}
+
+// Write to a temp file and rename so a crash never leaves half a file
+function saveStore() {
+  fs.mkdirSync(path.dirname(DATA_FILE), { recursive: true });
+  const tmp = `${DATA_FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(store));
+  fs.renameSync(tmp, DATA_FILE);
+}
+
+const store = loadStore();
+
+// ============================================================================
+// SESSIONS
+// ============================================================================
+
+// token -> { userId, expiresAt }. Kept in memory: restarting the server signs everyone out.
+const sessions = new Map();
+
+function getCaller(headers) {
+  const match = /^Bearer\s+(\S+)$/.exec(headers.authorization || '');
+  const session = match && sessions.get(match[1]);
+  if (!session) return null;
+  const user = store.users[session.userId];
+  if (session.expiresAt < Date.now() || !user || user.disabled) {
+    sessions.delete(match[1]);
+    return null;
+  }
+  return user;
+}
+
+/**
+ * Until the first user exists anyone may write. After that the caller must be signed in
+ * and, when a permission is given, their role must grant it.
+ */
+function requirePermission(caller, permission = null) {
+  if (!AccessControl.isLocked(store.users)) return;
+  if (!caller) throw new HttpError(401, 'Sign in first');
+  if (permission && !AccessControl.can(caller, permission)) {
+    throw new HttpError(403, `A ${AccessControl.getRoleLabel(caller.role)} cannot do this`);
+  }
+}
+
+// ============================================================================
+// SIGNED QUOTES
+// ============================================================================
+
+/**
+ * Why a quote save would break its signature, or null. Once signed, a quote keeps an
+ * acceptance, and a new one must point at a stored version whose seal still matches.
+ */
+function checkAcceptance(id, existing, quote) {
+  const before = existing ? existing.acceptance || null : null;
+  const after = quote.acceptance || null;
+  if (JSON.stringify(before) === JSON.stringify(after)) return null;
+  if (!after) return `Quote ${id} is signed; its signature cannot be removed`;
+  const version = (store.quoteVersions[id] || []).find(v => v.id === after.versionId);
+  if (!version || !QuoteAcceptance.verify(quote, version)) {
+    return `Quote ${id} can only be signed on a saved version`;
+  }
+  if (before && before.versionId === after.versionId) return `Quote ${id} is signed; its signature cannot be changed`;
+  return null;
+}
+
+// ============================================================================
+// QUOTE LIMITS
+// ============================================================================
+
+// Saving a quote with any of these changed reprices it
+const QUOTE_PRICING_FIELDS = ['lineItems', 'selectedJobAddonIds', 'jobPriceAdjustments', 'salesUplift', 'discount', 'floorOverride', 'quoteDate', 'pricingVersionId', 'commissionPlanId'];
+
+function getApprovalSecret() {
+  if (!store.approvalSecret) {
+    store.approvalSecret = crypto.randomBytes(32).toString('hex');
+    saveStore();
+  }
+  return store.approvalSecret;
+}
+
+function signApproval({ by, at, upliftPercent, discountPercent, belowFloor }) {
+  return crypto.createHmac('sha256', getApprovalSecret())
+    .update(JSON.stringify([by && by.id, at, upliftPercent, discountPercent, belowFloor]))
+    .digest('hex');
+}
+
+function isSignedApproval(approval) {
+  if (!approval || typeof approval.signature !== 'string') return false;
+  const expected = Buffer.from(signApproval(approval));
+  const actual = Buffer.from(approval.signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// The quote's totals as the sales page works them out, priced under its pinned catalog
+function calculateQuote(quote) {
+  const version = store.pricingVersions.find(v => v.id === quote.pricingVersionId);
+  try {
+    return QuotePricing.calculateSavedQuote({
+      quote,
+      addons: (version ? version.addons : store.catalog.addons) || {},
+      pricingOptions: QuotePricing.getPricingOptions(store.catalog.settings || {})
+    });
+  } catch (error) {
+    throw new HttpError(400, error.message);
+  }
+}
+
+/**
+ * Rejects prices past the caller's role limits unless a manager approval signed here covers them
+ * @param {object} quoteCalc - { subtotal, salesUplift, manualDiscount, belowFloor }
+ */
+function requireWithinLimits(caller, quoteCalc, approval) {
+  if (!AccessControl.isLocked(store.users)) return;
+  const issues = AccessControl.checkQuoteLimits(caller.role, quoteCalc, store.catalog.settings || {});
+  if (issues.length === 0) return;
+  if (isSignedApproval(approval) && AccessControl.isApprovalValid(approval, quoteCalc)) return;
+  throw new HttpError(403, `${issues.join('. ')}. A sales manager must approve the price`);
+}
+
+const publicUsers = () => Object.fromEntries(Object.entries(store.users).map(([id, user]) => [id, AccessControl.publicUser(user)]));
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+function requireObject(body, label) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new HttpError(400, `${label} must be a JSON object`);
+  }
+  return body;
+}
+
+function findPricingVersion(id) {
+  const index = store.pricingVersions.findIndex(v => v.id === id);
+  if (index === -1) throw new HttpError(404, `Pricing version ${id} not found`);
+  return index;
+}
+
+const routes = [
+  ['GET', /^\/api\/health$/, () => ({
+    ok: true,
+    locked: AccessControl.isLocked(store.users),
+    quotes: Object.keys(store.quotes).length,
+    pricingVersions: store.pricingVersions.length
+  })],
+
+  ['POST', /^\/api\/session$/, async (params, body) => {
+    const { username, password } = requireObject(body, 'Sign-in');
+    const user = await AccessControl.authenticate(store.users, username, password);
+    if (!user) throw new HttpError(401, 'Wrong username or password');
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = Date.now() + SESSION_HOURS * 60 * 60 * 1000;
+    sessions.set(token, { userId: user.id, expiresAt });
+    return { token, expiresAt: new Date(expiresAt).toISOString(), user: AccessControl.publicUser(user) };
+  }],
+  ['GET', /^\/api\/session$/, (params, body, headers, caller) => {
+    if (!caller) throw new HttpError(401, 'Not signed in');
+    return { user: AccessControl.publicUser(caller) };
+  }],
+  ['DELETE', /^\/api\/session$/, (params, body, headers) => {
+    const match = /^Bearer\s+(\S+)$/.exec(headers.authorization || '');
+    if (match) sessions.delete(match[1]);
+    return null;
+  }],
+
+  ['GET', /^\/api\/catalog$/, () => store.catalog],
+  ['PUT', /^\/api\/catalog\/([^/]+)$/, ([section], body, headers, caller) => {
+    if (!CATALOG_SECTIONS.includes(section)) throw new HttpError(404, `Unknown catalog section ${section}`);
+    const next = requireObject(body, section);
+    const current = store.catalog[section] || {};
+    requirePermission(caller, 'catalog.edit');
+    // Dropping items is deleting them; quote limits are part of managing users
+    if (section !== 'settings' && Object.keys(current).some(id => !(id in next))) requirePermission(caller, 'catalog.delete');
+    if (section === 'settings' && JSON.stringify(current.roleLimits || null) !== JSON.stringify(next.roleLimits || null)) {
+      requirePermission(caller, 'users.manage');
+    }
+    store.catalog[section] = next;
+    saveStore();
+    return store.catalog[section];
+  }],
+
+  ['GET', /^\/api\/quotes$/, (params, body, headers, caller) => {
+    requirePermission(caller);
+    return store.quotes;
+  }],
+  ['GET', /^\/api\/quotes\/([^/]+)$/, ([id], body, headers, caller) => {
+    requirePermission(caller);
+    if (!store.quotes[id]) throw new HttpError(404, `Quote ${id} not found`);
+    return store.quotes[id];
+  }],
+  ['PUT', /^\/api\/quotes\/([^/]+)$/, ([id], body, headers, caller) => {
+    requirePermission(caller);
+    const quote = requireObject(body, 'Quote');
+    const existing = store.quotes[id];
+    const baseRevision = headers['if-match'];
+    if (existing && baseRevision !== undefined && String(existing.revision) !== baseRevision) {
+      throw new HttpError(409, `Quote ${id} was changed on another device`, { current: existing });
+    }
+    const acceptanceError = checkAcceptance(id, existing, quote);
+    if (acceptanceError) throw new HttpError(409, acceptanceError, { current: existing || null });
+    // Status changes and other saves that leave the price alone are not checked again
+    if (!existing || QUOTE_PRICING_FIELDS.some(field => JSON.stringify(existing[field]) !== JSON.stringify(quote[field]))) {
+      requireWithinLimits(caller, calculateQuote(quote), quote.limitApproval);
+    }
+    store.quotes[id] = {
+      ...quote,
+      id,
+      revision: ((existing && existing.revision) || 0) + 1,
+      updatedAt: new Date().toISOString()
+    };
+    saveStore();
+    return store.quotes[id];
+  }],
+  ['DELETE', /^\/api\/quotes\/([^/]+)$/, ([id], body, headers, caller) => {
+    requirePermission(caller, 'quotes.delete');
+    delete store.quotes[id];
+    saveStore();
+    return null;
+  }],
+
+  ['POST', /^\/api\/quote-approvals$/, (params, body, headers, caller) => {
+    requirePermission(caller);
+    if (!caller) throw new HttpError(400, 'Quote limits apply once accounts are set up');
+    const { quote } = requireObject(body, 'Approval');
+    const quoteCalc = calculateQuote(requireObject(quote, 'Quote'));
+    let approval;
+    try {
+      approval = AccessControl.approveQuoteLimits(caller, quoteCalc, store.catalog.settings || {});
+    } catch (error) {
+      throw new HttpError(403, error.message);
+    }
+    return { ...approval, signature: signApproval(approval) };
+  }],
+
+  ['GET', /^\/api\/quote-versions$/, (params, body, headers, caller) => {
+    requirePermission(caller);
+    return store.quoteVersions;
+  }],
+  ['GET', /^\/api\/quote-versions\/([^/]+)$/, ([quoteId], body, headers, caller) => {
+    requirePermission(caller);
+    return store.quoteVersions[quoteId] || [];
+  }],
+  ['POST', /^\/api\/quote-versions$/, (params, body, headers, caller) => {
+    requirePermission(caller);
+    const version = requireObject(body, 'Quote version');
+    if (!version.id || !version.quoteId) throw new HttpError(400, 'Quote version needs an id and quoteId');
+    if (version.acceptance && QuoteAcceptance.hashVersion(version) !== version.acceptance.contentHash) {
+      throw new HttpError(400, `Quote version ${version.id} does not match the content it was signed with`);
+    }
+    const versions = store.quoteVersions[version.quoteId] || [];
+    // Retried uploads are fine; existing versions are never overwritten
+    const existing = versions.find(v => v.id === version.id);
+    if (existing) {
+      if (JSON.stringify(existing) !== JSON.stringify(version)) {
+        throw new HttpError(409, `Quote version ${version.id} is already saved and cannot be changed`);
+      }
+      return existing;
+    }
+    const metadata = version.metadata || {};
+    requireWithinLimits(caller, { ...metadata, salesUplift: version.salesUplift }, metadata.limitApproval);
+    versions.push(version);
+    store.quoteVersions[version.quoteId] = versions;
+    saveStore();
+    return version;
+  }],
+  ['DELETE', /^\/api\/quote-versions\/([^/]+)$/, ([quoteId], body, headers, caller) => {
+    requirePermission(caller, 'quotes.delete');
+    delete store.quoteVersions[quoteId];
+    saveStore();
+    return null;
+  }],
+
+  ['GET', /^\/api\/customers$/, (params, body, headers, caller) => {
+    requirePermission(caller);
+    return store.customers;
+  }],
+  ['PUT', /^\/api\/customers\/([^/]+)$/, ([id], body, headers, caller) => {
+    requirePermission(caller);
+    store.customers[id] = { ...requireObject(body, 'Customer'), id };
+    saveStore();
+    return store.customers[id];
+  }],
+  ['DELETE', /^\/api\/customers\/([^/]+)$/, ([id], body, headers, caller) => {
+    requirePermission(caller, 'customers.delete');
+    delete store.customers[id];
+    saveStore();
+    return null;
+  }],
+
+  ['GET', /^\/api\/users$/, (params, body, headers, caller) => {
+    requirePermission(caller);
+    return publicUsers();
+  }],
+  // The first user (who must be an admin) can be created without signing in
+  ['PUT', /^\/api\/users\/([^/]+)$/, async ([id], body, headers, caller) => {
+    requirePermission(caller, 'users.manage');
+    const fields = requireObject(body, 'User');
+    const existing = store.users[id] || null;
+    let user;
+    try {
+      user = { ...AccessControl.buildUser(store.users, fields, existing), id };
+      AccessControl.assertAdminRemains({ ...store.users, [id]: user });
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+    if (fields.password) user = await AccessControl.setPassword(user, fields.password);
+    store.users[id] = user;
+    saveStore();
+    return AccessControl.publicUser(user);
+  }],
+  ['DELETE', /^\/api\/users\/([^/]+)$/, ([id], body, headers, caller) => {
+    requirePermission(caller, 'users.manage');
+    if (caller && caller.id === id) throw new HttpError(400, 'You cannot delete your own account');
+    const { [id]: removed, ...remaining } = store.users;
+    try {
+      AccessControl.assertAdminRemains(remaining);
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+    store.users = remaining;
+    sessions.forEach((session, token) => {
+      if (session.userId === id) sessions.delete(token);
+    });
+    saveStore();
+    return null;
+  }],
+
+  ['GET', /^\/api\/audit-log$/, (params, body, headers, caller) => {
+    requirePermission(caller, 'audit.view');
+    return store.auditLog;
+  }],
+  ['POST', /^\/api\/audit-log$/, (params, body, headers, caller) => {
+    requirePermission(caller, 'admin.access');
+    const entry = requireObject(body, 'Audit entry');
+    if (!entry.id || !entry.action) throw new HttpError(400, 'Audit entry needs an id and action');
+    // Retried uploads are fine; existing entries are never overwritten
+    const existing = store.auditLog.find(logged => logged.id === entry.id);
+    if (existing) return existing;
+    // Who and when come from the session and this server, not from the browser
+    const stamped = { ...entry, user: AccessControl.describeUser(caller), at: new Date().toISOString(), clientAt: entry.at || null };
+    store.auditLog.push(stamped);
+    saveStore();
+    return stamped;
+  }],
+
+  ['GET', /^\/api\/pricing-versions$/, () => ({ versions: store.pricingVersions, currentVersionId: store.currentVersionId })],
+  ['POST', /^\/api\/pricing-versions$/, (params, body, headers, caller) => {
+    requirePermission(caller, 'versions.publish');
+    const version = requireObject(body, 'Pricing version');
+    if (!version.id) throw new HttpError(400, 'Pricing version needs an id');
+    if (store.pricingVersions.some(v => v.id === version.id)) throw new HttpError(409, `Pricing version ${version.id} already exists`);
+    store.pricingVersions.push(version);
+    saveStore();
+    return version;
+  }],
+  ['PUT', /^\/api\/pricing-versions\/current$/, (params, body, headers, caller) => {
+    requirePermission(caller, 'versions.publish');
+    const versionId = requireObject(body, 'Body').versionId || null;
+    if (versionId) findPricingVersion(versionId);
+    store.currentVersionId = versionId;
+    saveStore();
+    return { currentVersionId: store.currentVersionId };
+  }],
+  ['DELETE', /^\/api\/pricing-versions\/([^/]+)$/, ([id], body, headers, caller) => {
+    requirePermission(caller, 'catalog.delete');
+    store.pricingVersions.splice(findPricingVersion(id), 1);
+    if (store.currentVersionId === id) {
+      const latest = store.pricingVersions[store.pricingVersions.length - 1];
+      store.currentVersionId = latest ? latest.id : null;
+    }
+    saveStore();
+    return null;
+  }],
+
+  ['POST', /^\/api\/import$/, (params, body, headers, caller) => {
+    requirePermission(caller, 'data.manage');
+    const data = requireObject(body, 'Import');
+    const next = emptyStore();
+    next.catalog = {
+      manufacturers: data.manufacturers || {},
+      productLines: data.productLines || {},
+      products: data.products || {},
+      addons: data.addons || {},
+      colors: data.colors || {},
+      settings: data.globalSettings || null
+    };
+    next.quotes = data.quotes || {};
+    next.quoteVersions = data.quoteVersions || {};
+    next.customers = data.customers || {};
+    // Accounts and the audit log belong to this server; an import never rolls them back
+    next.users = store.users;
+    next.auditLog = store.auditLog;
+    next.approvalSecret = store.approvalSecret;
+    next.pricingVersions = Array.isArray(data.pricingVersions) ? data.pricingVersions : [];
+    next.currentVersionId = data.currentVersionId || null;
+    Object.assign(store, next);
+    saveStore();
+    return { ok: true };
+  }]
+];
+
+// ============================================================================
+// HTTP
+// ============================================================================
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (chunks.length === 0) return resolve(undefined);
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        reject(new HttpError(400, 'Invalid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Other sites' pages only get CORS headers when CORS_ORIGIN lists them (or is '*')
+function corsHeaders(origin) {
+  if (!origin || !(CORS_ORIGINS.includes(origin) || CORS_ORIGINS.includes('*'))) return {};
+  return {
+    'Access-Control-Allow-Origin': origin,
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, If-Match, Authorization',
+    Vary: 'Origin'
+  };
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    ...headers,
+    ...(body === null ? {} : { 'Content-Type': 'application/json' })
+  });
+  res.end(body === null ? undefined : JSON.stringify(body));
+}
+
+const server = http.createServer(async (req, res) => {
+  const cors = corsHeaders(req.headers.origin);
+  if (req.method === 'OPTIONS') return send(res, 204, null, cors);
+
+  const pathname = new URL(req.url, 'http://localhost').pathname;
+  const route = routes.find(([method, pattern]) => method === req.method && pattern.test(pathname));
+  if (!route) return send(res, 404, { error: `No route for ${req.method} ${pathname}` }, cors);
+
+  try {
+    const params = pathname.match(route[1]).slice(1).map(decodeURIComponent);
+    const body = await readBody(req);
+    const result = await route[2](params, body, req.headers, getCaller(req.headers));
+    send(res, result === null ? 204 : 200, result, cors);
+  } catch (error) {
+    if (!(error instanceof HttpError)) console.error(error);
+    send(res, error.status || 500, { error: error.message, ...(error.details || {}) }, cors);
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Storage server listening on http://localhost:${PORT} (data: ${DATA_FILE})`);
+});